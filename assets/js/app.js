@@ -9,6 +9,7 @@ import {
   prefersReducedMotion,
   dispatchCustomEvent 
 } from './utils.js';
+import { loadCollections } from './catalog.js';
 
 class PortfolioApp {
   constructor() {
@@ -95,35 +96,14 @@ class PortfolioApp {
   }
   
   setupCollections() {
-    // Sample collections data
-    const collectionsData = [
-      {
-        id: 'fantasy-series',
-        title: 'Fantasy Illustrations',
-        description: 'Epic fantasy scenes featuring magical creatures, mystical landscapes, and heroic characters.',
-        coverImage: 'https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=400&h=300&fit=crop&crop=center',
-        artworkCount: 12,
-        year: 2024
-      },
-      {
-        id: 'sci-fi-series',
-        title: 'Sci-Fi Concepts',
-        description: 'Futuristic technology, alien worlds, and cyberpunk cityscapes.',
-        coverImage: 'https://images.unsplash.com/photo-1518709268805-4e9042af2176?w=400&h=300&fit=crop&crop=center',
-        artworkCount: 8,
-        year: 2024
-      },
-      {
-        id: 'character-portfolio',
-        title: 'Character Designs',
-        description: 'Original character concepts for games, books, and personal projects.',
-        coverImage: 'https://images.unsplash.com/photo-1551550029-12c7dd043ba8?w=400&h=300&fit=crop&crop=center',
-        artworkCount: 15,
-        year: 2023
-      }
-    ];
-    
-    this.renderCollections(collectionsData);
+    // Collection cards are driven by collections.json joined against the artwork catalog
+    loadCollections()
+      .then(collections => {
+        this.renderCollections(collections.filter(collection => collection.artworkCount > 0));
+      })
+      .catch(error => {
+        console.error('Collections could not be loaded:', error);
+      });
   }
   
   renderCollections(collections) {
@@ -155,15 +135,15 @@ class PortfolioApp {
       <img 
         class="collection-card__image" 
         src="${collection.coverImage}" 
-        alt="${collection.title} cover image"
+        alt="${collection.coverAlt || `${collection.title} cover image`}"
         loading="lazy"
       />
       <div class="collection-card__content">
         <h3 class="collection-card__title">${collection.title}</h3>
         <p class="collection-card__description">${collection.description}</p>
         <div class="collection-card__meta">
-          <span class="collection-card__count">${collection.artworkCount} artworks</span>
-          <span class="collection-card__year">${collection.year}</span>
+          <span class="collection-card__count">${collection.artworkCount} ${collection.artworkCount === 1 ? 'artwork' : 'artworks'}</span>
+          <span class="collection-card__year">${this.formatYearRange(collection.yearRange)}</span>
         </div>
       </div>
     `;
@@ -183,9 +163,16 @@ class PortfolioApp {
     return card;
   }
   
+  formatYearRange(yearRange) {
+    if (!yearRange) return '';
+    return yearRange.from === yearRange.to
+      ? `${yearRange.from}`
+      : `${yearRange.from}–${yearRange.to}`;
+  }
+  
   viewCollection(collectionId) {
     // Filter gallery by collection and scroll to gallery section
-    dispatchCustomEvent('filterGallery', { filter: collectionId });
+    dispatchCustomEvent('filterGallery', { collection: collectionId });
     
     // Scroll to gallery section
     const gallerySection = document.querySelector('#gallery');
@@ -356,9 +343,9 @@ class PortfolioApp {
   }
   
   handleInitialLoad() {
-    // Handle any URL hash on initial load
-    const hash = window.location.hash;
-    if (hash) {
+    // Handle any URL hash on initial load; router state after '?' is restored by router.js
+    const hash = window.location.hash.split('?')[0];
+    if (hash.length > 1) {
       const targetElement = document.querySelector(hash);
       if (targetElement) {
         setTimeout(() => {
@@ -0,0 +1,108 @@
+// Attachments - attachments.js
+// Validates reference images for the contact form and shrinks large ones in a canvas before upload
+
+export const ACCEPTED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+export const MAX_FILES = 5;
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// GIFs are left alone so animations survive
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const RESIZE_QUALITY = 0.85;
+
+/**
+ * Human-readable file size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. "840 KB" or "2.4 MB"
+ */
+export function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${Number((bytes / (1024 * 1024)).toFixed(1))} MB`;
+}
+
+/**
+ * Check an image's type
+ * Size is checked separately, after any resizing.
+ * @param {File} file - Dropped, pasted or chosen file
+ * @returns {string} Problem to show the visitor, or '' when the type is accepted
+ */
+export function validateAttachmentType(file) {
+  return ACCEPTED_TYPES.includes(file.type) ? '' : 'Not a supported image type. Use JPG, PNG, WebP or GIF.';
+}
+
+/**
+ * Check an image's size
+ * @param {File} file - File as it will be uploaded
+ * @param {number} [maxSize] - Limit in bytes
+ * @returns {string} Problem to show the visitor, or '' when it fits
+ */
+export function validateAttachmentSize(file, maxSize = MAX_FILE_SIZE) {
+  return file.size <= maxSize ? '' : `Larger than the ${formatFileSize(maxSize)} limit.`;
+}
+
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Could not decode ${file.name}`));
+    };
+
+    image.src = url;
+  });
+}
+
+function canvasToBlob(canvas, type, quality) {
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * Shrink an image so its longest side fits maxDimension
+ * The original is kept when it already fits, can't be resized, or resizing wouldn't make it smaller.
+ * @param {File} file - Image file
+ * @param {number} maxDimension - Longest side in pixels; 0 turns resizing off
+ * @returns {Promise<Object>} {file, resized, width, height}; rejects if the image can't be decoded
+ */
+export async function downscaleImage(file, maxDimension) {
+  if (!maxDimension || !RESIZABLE_TYPES.includes(file.type)) {
+    return { file, resized: false, width: null, height: null };
+  }
+
+  const image = await loadImage(file);
+  const { naturalWidth, naturalHeight } = image;
+  const scale = maxDimension / Math.max(naturalWidth, naturalHeight);
+
+  if (scale >= 1) {
+    return { file, resized: false, width: naturalWidth, height: naturalHeight };
+  }
+
+  const width = Math.round(naturalWidth * scale);
+  const height = Math.round(naturalHeight * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+
+  const blob = await canvasToBlob(canvas, file.type, RESIZE_QUALITY);
+
+  if (!blob || blob.size >= file.size) {
+    return { file, resized: false, width: naturalWidth, height: naturalHeight };
+  }
+
+  return {
+    file: new File([blob], file.name, { type: blob.type, lastModified: file.lastModified }),
+    resized: true,
+    width,
+    height
+  };
+}
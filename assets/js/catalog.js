@@ -0,0 +1,308 @@
+// Artwork Catalog - catalog.js
+// Loads and validates the versioned artwork catalog shared by the gallery, lightbox and collections
+
+export const CATALOG_URL = 'assets/data/artworks.json';
+export const COLLECTIONS_URL = 'assets/data/collections.json';
+export const CATALOG_VERSION = 1;
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Field rules for one process stage (sketch, lineart, ...) shown before the finished piece
+const STAGE_SCHEMA = {
+  label: { type: 'string', required: true },
+  image: { type: 'string', required: true },
+  alt: { type: 'string' }
+};
+
+// Field rules for a single artwork entry
+const ARTWORK_SCHEMA = {
+  id: { type: 'string', required: true },
+  title: { type: 'string', required: true },
+  category: { type: 'string', required: true, pattern: SLUG_PATTERN },
+  collection: { type: 'string' },
+  thumbnail: { type: 'string', required: true },
+  fullSize: { type: 'string', required: true },
+  alt: { type: 'string', required: true },
+  dimensions: { type: 'string', pattern: /^\d+x\d+$/ },
+  year: { type: 'integer' },
+  medium: { type: 'string' },
+  description: { type: 'string' },
+  tags: { type: 'string[]' },
+  featuredRank: { type: 'integer' },
+  tiles: { type: 'string' },
+  stages: { type: 'object[]', schema: STAGE_SCHEMA }
+};
+
+// Field rules for a collection entry; cover names the member artwork used as the card image
+const COLLECTION_SCHEMA = {
+  id: { type: 'string', required: true, pattern: SLUG_PATTERN },
+  title: { type: 'string', required: true },
+  description: { type: 'string' },
+  cover: { type: 'string' }
+};
+
+// Deep-zoom tile manifest referenced by an artwork's "tiles" URL
+const TILE_MANIFEST_SCHEMA = {
+  width: { type: 'integer', required: true },
+  height: { type: 'integer', required: true },
+  tileSize: { type: 'integer', required: true },
+  overlap: { type: 'integer' },
+  format: { type: 'string', required: true, pattern: /^[a-z0-9]+$/ },
+  tilesUrl: { type: 'string', required: true }
+};
+
+// Pending or resolved data requests, keyed by URL
+const catalogRequests = new Map();
+
+/**
+ * Error raised when the catalog cannot be fetched or does not match the schema
+ */
+export class CatalogError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CatalogError';
+  }
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'string[]':
+      return Array.isArray(value) && value.every(item => typeof item === 'string');
+    case 'object[]':
+      return Array.isArray(value) && value.every(item => item && typeof item === 'object' && !Array.isArray(item));
+    default:
+      return typeof value === type;
+  }
+}
+
+function validateEntry(entry, schema) {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry must be an object'];
+  }
+
+  const problems = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = entry[field];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) problems.push(`"${field}" is required`);
+      return;
+    }
+
+    if (!matchesType(value, rule.type)) {
+      problems.push(`"${field}" must be of type ${rule.type}`);
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+      problems.push(`"${field}" has an invalid format`);
+    } else if (rule.schema) {
+      value.forEach((item, index) => {
+        validateEntry(item, rule.schema).forEach(problem => {
+          problems.push(`"${field}[${index}]": ${problem}`);
+        });
+      });
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Validate a single artwork entry against the catalog schema
+ * @param {Object} entry - Artwork entry from the catalog
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateArtwork(entry) {
+  return validateEntry(entry, ARTWORK_SCHEMA);
+}
+
+/**
+ * Validate a single collection entry against the collections schema
+ * @param {Object} entry - Collection entry
+ * @returns {string[]} List of problems (empty when valid)
+ */
+export function validateCollection(entry) {
+  return validateEntry(entry, COLLECTION_SCHEMA);
+}
+
+// Keep valid entries with unique ids, warning about the rest
+function filterValidEntries(entries, validate, label) {
+  const seenIds = new Set();
+  const rejected = [];
+
+  const valid = entries.filter((entry, index) => {
+    const problems = validate(entry);
+
+    if (!problems.length && seenIds.has(entry.id)) {
+      problems.push(`duplicate id "${entry.id}"`);
+    }
+
+    if (problems.length) {
+      rejected.push({ index, id: entry?.id, problems });
+      return false;
+    }
+
+    seenIds.add(entry.id);
+    return true;
+  });
+
+  if (rejected.length) {
+    console.warn(`Skipped ${rejected.length} invalid ${label} ${rejected.length === 1 ? 'entry' : 'entries'}:`, rejected);
+  }
+
+  return valid;
+}
+
+function assertDocument(data, listField) {
+  if (!data || typeof data !== 'object') {
+    throw new CatalogError('Catalog must be a JSON object');
+  }
+
+  if (data.version !== CATALOG_VERSION) {
+    throw new CatalogError(`Unsupported catalog version: ${data.version} (expected ${CATALOG_VERSION})`);
+  }
+
+  if (!Array.isArray(data[listField])) {
+    throw new CatalogError(`Catalog "${listField}" must be an array`);
+  }
+}
+
+/**
+ * Validate a parsed catalog document
+ * Entries that fail validation are dropped with a console warning so one bad
+ * record does not take the whole gallery down.
+ * @param {Object} data - Parsed catalog JSON
+ * @returns {{version: number, updated: string|null, artworks: Object[]}} Validated catalog
+ */
+export function validateCatalog(data) {
+  assertDocument(data, 'artworks');
+
+  return {
+    version: data.version,
+    updated: data.updated || null,
+    artworks: filterValidEntries(data.artworks, validateArtwork, 'catalog')
+  };
+}
+
+/**
+ * Validate a parsed collections document
+ * @param {Object} data - Parsed collections JSON
+ * @returns {{version: number, collections: Object[]}} Validated collections
+ */
+export function validateCollections(data) {
+  assertDocument(data, 'collections');
+
+  return {
+    version: data.version,
+    collections: filterValidEntries(data.collections, validateCollection, 'collection')
+  };
+}
+
+/**
+ * Validate a parsed tile manifest
+ * Unlike catalog entries there is nothing to skip, so any problem rejects the manifest.
+ * @param {Object} data - Parsed manifest JSON
+ * @returns {Object} Manifest with overlap defaulted to 0
+ */
+export function validateTileManifest(data) {
+  if (!data || typeof data !== 'object') {
+    throw new CatalogError('Tile manifest must be a JSON object');
+  }
+
+  if (data.version !== CATALOG_VERSION) {
+    throw new CatalogError(`Unsupported tile manifest version: ${data.version} (expected ${CATALOG_VERSION})`);
+  }
+
+  const problems = validateEntry(data, TILE_MANIFEST_SCHEMA);
+  if (problems.length) {
+    throw new CatalogError(`Invalid tile manifest: ${problems.join(', ')}`);
+  }
+
+  return { ...data, overlap: data.overlap || 0 };
+}
+
+/**
+ * Join collections with their member artworks
+ * Counts, year ranges and cover images are derived from the members, newest first.
+ * @param {Object[]} collections - Validated collection entries
+ * @param {Object[]} artworks - Validated artwork entries
+ * @returns {Object[]} Collections with members, artworkCount, yearRange and coverImage
+ */
+export function joinCollections(collections, artworks) {
+  return collections.map(collection => {
+    const members = artworks
+      .filter(artwork => artwork.collection === collection.id)
+      .sort((a, b) => (b.year || 0) - (a.year || 0));
+
+    const years = members.map(artwork => artwork.year).filter(Number.isInteger);
+    const cover = members.find(artwork => artwork.id === collection.cover) || members[0] || null;
+
+    return {
+      ...collection,
+      members,
+      artworkCount: members.length,
+      yearRange: years.length ? { from: Math.min(...years), to: Math.max(...years) } : null,
+      coverImage: cover ? cover.thumbnail : null,
+      coverAlt: cover ? cover.alt : ''
+    };
+  });
+}
+
+function requestJson(url, validate, reload) {
+  if (!reload && catalogRequests.has(url)) {
+    return catalogRequests.get(url);
+  }
+
+  const request = fetch(url, { headers: { Accept: 'application/json' } })
+    .then(response => {
+      if (!response.ok) {
+        throw new CatalogError(`Catalog request failed with status ${response.status}`);
+      }
+      return response.json();
+    })
+    .then(validate);
+
+  // Forget failed requests so a retry hits the network again
+  request.catch(() => catalogRequests.delete(url));
+
+  catalogRequests.set(url, request);
+  return request;
+}
+
+/**
+ * Fetch and validate the artwork catalog
+ * Requests are shared, so every component asking for the same URL gets the same promise.
+ * @param {string} url - Catalog URL
+ * @param {Object} options - Load options
+ * @param {boolean} options.reload - Ignore any cached request
+ * @returns {Promise<{version: number, updated: string|null, artworks: Object[]}>} Validated catalog
+ */
+export function loadCatalog(url = CATALOG_URL, { reload = false } = {}) {
+  return requestJson(url, validateCatalog, reload);
+}
+
+/**
+ * Fetch the collections document and join it against the artwork catalog
+ * @param {string} url - Collections URL
+ * @param {Object} options - Load options
+ * @param {boolean} options.reload - Ignore any cached request
+ * @returns {Promise<Object[]>} Joined collections (see joinCollections)
+ */
+export function loadCollections(url = COLLECTIONS_URL, { reload = false } = {}) {
+  return Promise.all([
+    requestJson(url, validateCollections, reload),
+    loadCatalog(undefined, { reload })
+  ]).then(([{ collections }, { artworks }]) => joinCollections(collections, artworks));
+}
+
+/**
+ * Fetch and validate a deep-zoom tile manifest
+ * @param {string} url - Manifest URL, usually an artwork's "tiles" field
+ * @param {Object} options - Load options
+ * @param {boolean} options.reload - Ignore any cached request
+ * @returns {Promise<Object>} Validated manifest (see validateTileManifest)
+ */
+export function loadTileManifest(url, { reload = false } = {}) {
+  return requestJson(url, validateTileManifest, reload);
+}
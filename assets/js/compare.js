@@ -0,0 +1,268 @@
+// Compare View - compare.js
+// Split-view modal showing selected artworks side by side with synchronized zoom and pan
+
+import { trapFocus, lockBodyScroll, unlockBodyScroll, escapeHtml } from './utils.js';
+import { ZoomController } from './zoom.js';
+
+// Distance the arrow keys pan zoomed images
+const KEYBOARD_PAN_STEP = 60;
+
+// Details listed under each image
+const META_FIELDS = [
+  { key: 'year', label: 'Year' },
+  { key: 'medium', label: 'Medium' },
+  { key: 'dimensions', label: 'Dimensions' }
+];
+
+class CompareView {
+  constructor() {
+    this.modal = document.querySelector('#compare-modal');
+    this.panesContainer = document.querySelector('#compare-panes');
+    this.closeButtons = document.querySelectorAll('[data-compare-close]');
+    this.zoomButtons = document.querySelectorAll('[data-compare-zoom]');
+    
+    this.artworks = [];
+    this.zooms = [];
+    this.isOpen = false;
+    this.isSyncing = false;
+    this.focusTrap = null;
+    this.previouslyFocusedElement = null;
+    
+    this.init();
+  }
+  
+  init() {
+    if (!this.modal || !this.panesContainer) return;
+    
+    this.setupEventListeners();
+  }
+  
+  setupEventListeners() {
+    // Gallery compare requests
+    document.addEventListener('openCompare', (e) => {
+      this.open(e.detail?.artworks || []);
+    });
+    
+    this.closeButtons.forEach(button => {
+      button.addEventListener('click', () => this.close());
+    });
+    
+    this.zoomButtons.forEach(button => {
+      button.addEventListener('click', () => this.zoomAll(button.dataset.compareZoom));
+    });
+    
+    // Keyboard events
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen) return;
+      
+      const leader = this.zooms[0];
+      
+      // While zoomed, arrow keys pan every piece together
+      if (leader && leader.isZoomed() && e.key.startsWith('Arrow')) {
+        e.preventDefault();
+        this.panWithKeyboard(e.key);
+        return;
+      }
+      
+      switch (e.key) {
+        case 'Escape':
+          this.close();
+          break;
+        case '+':
+        case '=':
+          e.preventDefault();
+          this.zoomAll('in');
+          break;
+        case '-':
+        case '_':
+          e.preventDefault();
+          this.zoomAll('out');
+          break;
+        case '0':
+          e.preventDefault();
+          this.zoomAll('reset');
+          break;
+      }
+    });
+  }
+  
+  /**
+   * Open the compare view
+   * @param {Object[]} artworks - Two or more artwork entries, in selection order
+   */
+  open(artworks) {
+    if (this.isOpen || artworks.length < 2) return;
+    
+    this.artworks = artworks;
+    this.isOpen = true;
+    this.previouslyFocusedElement = document.activeElement;
+    
+    this.renderPanes();
+    
+    this.modal.setAttribute('aria-hidden', 'false');
+    this.modal.style.display = 'flex';
+    lockBodyScroll();
+    
+    setTimeout(() => {
+      this.focusTrap = trapFocus(this.modal);
+    }, 100);
+    
+    requestAnimationFrame(() => {
+      this.modal.classList.add('modal--open');
+    });
+    
+    const titles = artworks.map(artwork => artwork.title).join(', ');
+    this.announce(`Comparing ${artworks.length} pieces: ${titles}. Zoom and pan apply to every piece.`);
+  }
+  
+  close() {
+    if (!this.isOpen) return;
+    
+    this.isOpen = false;
+    
+    if (this.focusTrap) {
+      this.focusTrap();
+      this.focusTrap = null;
+    }
+    
+    this.modal.classList.remove('modal--open');
+    
+    setTimeout(() => {
+      this.modal.setAttribute('aria-hidden', 'true');
+      this.modal.style.display = 'none';
+      this.panesContainer.innerHTML = '';
+      this.zooms = [];
+      
+      unlockBodyScroll();
+      
+      if (this.previouslyFocusedElement) {
+        this.previouslyFocusedElement.focus();
+        this.previouslyFocusedElement = null;
+      }
+    }, 300);
+    
+    this.announce('Comparison closed.');
+  }
+  
+  renderPanes() {
+    this.panesContainer.innerHTML = this.artworks.map(artwork => `
+      <section class="compare__pane" aria-labelledby="compare-title-${escapeHtml(artwork.id)}">
+        <div class="modal__zoom compare__viewport" tabindex="0" aria-describedby="compare-hint">
+          <img class="compare__image" src="${escapeHtml(artwork.fullSize)}" alt="${escapeHtml(artwork.alt)}" draggable="false">
+        </div>
+        <h4 class="compare__title" id="compare-title-${escapeHtml(artwork.id)}">${escapeHtml(artwork.title)}</h4>
+        <dl class="compare__meta">
+          ${this.renderMeta(artwork)}
+        </dl>
+      </section>
+    `).join('');
+    
+    this.zooms = Array.from(this.panesContainer.querySelectorAll('.compare__viewport')).map(viewport => {
+      const zoom = new ZoomController(viewport, viewport.querySelector('.compare__image'), {
+        onChange: () => this.syncZoom(zoom)
+      });
+      return zoom;
+    });
+  }
+  
+  // Rows for the details an artwork has; missing ones are left out rather than shown as "undefined"
+  renderMeta(artwork) {
+    return META_FIELDS
+      .filter(({ key }) => artwork[key] !== undefined && artwork[key] !== null && artwork[key] !== '')
+      .map(({ key, label }) => `
+          <div class="compare__meta-item">
+            <dt>${label}</dt>
+            <dd>${escapeHtml(artwork[key])}</dd>
+          </div>`)
+      .join('');
+  }
+  
+  // Mirror one pane's zoom onto the others; pan is shared as a fraction of each image's size
+  syncZoom(source) {
+    if (this.isSyncing) return;
+    
+    const width = source.image.offsetWidth;
+    const height = source.image.offsetHeight;
+    const fractionX = width ? source.x / width : 0;
+    const fractionY = height ? source.y / height : 0;
+    
+    this.isSyncing = true;
+    this.zooms.forEach(zoom => {
+      if (zoom === source) return;
+      
+      zoom.setTransform({
+        scale: source.scale,
+        x: fractionX * zoom.image.offsetWidth,
+        y: fractionY * zoom.image.offsetHeight
+      });
+    });
+    this.isSyncing = false;
+  }
+  
+  zoomAll(action) {
+    const leader = this.zooms[0];
+    if (!leader) return;
+    
+    if (action === 'in') {
+      leader.zoomIn();
+    } else if (action === 'out') {
+      leader.zoomOut();
+    } else {
+      leader.reset(true);
+    }
+    
+    this.announce(`Zoom ${Math.round(leader.scale * 100)}%`);
+  }
+  
+  panWithKeyboard(key) {
+    const offsets = {
+      ArrowLeft: [KEYBOARD_PAN_STEP, 0],
+      ArrowRight: [-KEYBOARD_PAN_STEP, 0],
+      ArrowUp: [0, KEYBOARD_PAN_STEP],
+      ArrowDown: [0, -KEYBOARD_PAN_STEP]
+    };
+    const [dx, dy] = offsets[key] || [0, 0];
+    
+    this.zooms[0].panBy(dx, dy, true);
+  }
+  
+  announce(message) {
+    const announcement = document.createElement('div');
+    announcement.setAttribute('aria-live', 'polite');
+    announcement.setAttribute('aria-atomic', 'true');
+    announcement.className = 'sr-only';
+    announcement.textContent = message;
+    
+    document.body.appendChild(announcement);
+    
+    setTimeout(() => {
+      if (document.body.contains(announcement)) {
+        document.body.removeChild(announcement);
+      }
+    }, 1000);
+  }
+  
+  // Public methods
+  getArtworks() {
+    return this.artworks;
+  }
+  
+  isCompareOpen() {
+    return this.isOpen;
+  }
+  
+  // Static initialization method
+  static init() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => new CompareView());
+    } else {
+      new CompareView();
+    }
+  }
+}
+
+// Auto-initialize when script loads
+CompareView.init();
+
+// Export for potential external use
+export default CompareView;
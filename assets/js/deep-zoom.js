@@ -0,0 +1,228 @@
+// Deep Zoom - deep-zoom.js
+// Renders only the visible tiles of a DZI-style image pyramid at the current zoom level
+//
+// Tiles are served as static files at {tilesUrl}{level}/{column}_{row}.{format},
+// with tilesUrl relative to the manifest. Level 0 is a single pixel and each level
+// doubles in size up to the full-resolution image.
+
+/**
+ * Highest pyramid level, where the image is at full size
+ * @param {Object} manifest - Tile manifest
+ * @returns {number} Level index
+ */
+export function getMaxLevel(manifest) {
+  return Math.ceil(Math.log2(Math.max(manifest.width, manifest.height)));
+}
+
+/**
+ * Pixel size of the image at a pyramid level
+ * @param {Object} manifest - Tile manifest
+ * @param {number} level - Level index
+ * @returns {Object} {width, height}
+ */
+export function getLevelSize(manifest, level) {
+  const divisor = 2 ** (getMaxLevel(manifest) - level);
+  return {
+    width: Math.ceil(manifest.width / divisor),
+    height: Math.ceil(manifest.height / divisor)
+  };
+}
+
+/**
+ * Smallest level with at least as many pixels as are on screen
+ * @param {Object} manifest - Tile manifest
+ * @param {number} displayWidth - On-screen width in device pixels
+ * @returns {number} Level index
+ */
+export function chooseLevel(manifest, displayWidth) {
+  const maxLevel = getMaxLevel(manifest);
+  let level = 0;
+
+  while (level < maxLevel && getLevelSize(manifest, level).width < displayWidth) {
+    level++;
+  }
+
+  return level;
+}
+
+/**
+ * Tiles covering a region of the image at one level
+ * Positions include the manifest's overlap so neighbouring tiles meet without seams.
+ * @param {Object} manifest - Tile manifest
+ * @param {number} level - Level index
+ * @param {Object} region - Visible fractions of the image {left, top, right, bottom}, 0–1
+ * @returns {Object[]} Tiles as {key, column, row, x, y, width, height} in level pixels
+ */
+export function getVisibleTiles(manifest, level, region) {
+  const { tileSize, overlap } = manifest;
+  const size = getLevelSize(manifest, level);
+  const columns = Math.ceil(size.width / tileSize);
+  const rows = Math.ceil(size.height / tileSize);
+
+  const firstColumn = Math.max(0, Math.floor(region.left * size.width / tileSize));
+  const lastColumn = Math.min(columns - 1, Math.ceil(region.right * size.width / tileSize) - 1);
+  const firstRow = Math.max(0, Math.floor(region.top * size.height / tileSize));
+  const lastRow = Math.min(rows - 1, Math.ceil(region.bottom * size.height / tileSize) - 1);
+
+  const tiles = [];
+
+  for (let row = firstRow; row <= lastRow; row++) {
+    for (let column = firstColumn; column <= lastColumn; column++) {
+      const x = column * tileSize - (column > 0 ? overlap : 0);
+      const y = row * tileSize - (row > 0 ? overlap : 0);
+      const right = Math.min(size.width, (column + 1) * tileSize + overlap);
+      const bottom = Math.min(size.height, (row + 1) * tileSize + overlap);
+
+      tiles.push({
+        key: `${level}/${column}_${row}`,
+        column,
+        row,
+        x,
+        y,
+        width: right - x,
+        height: bottom - y
+      });
+    }
+  }
+
+  return tiles;
+}
+
+export class TiledImage {
+  /**
+   * @param {HTMLElement} layer - Element the tiles are positioned in, laid over the base image
+   */
+  constructor(layer) {
+    this.layer = layer;
+    this.manifest = null;
+    this.tilesUrl = '';
+    this.tiles = new Map();
+    this.frame = null;
+  }
+
+  /**
+   * Start showing a tiled image
+   * @param {Object} manifest - Validated tile manifest
+   * @param {string} manifestUrl - Where the manifest was loaded from
+   */
+  load(manifest, manifestUrl) {
+    this.clear();
+
+    this.manifest = manifest;
+    this.tilesUrl = new URL(manifest.tilesUrl, new URL(manifestUrl, document.baseURI)).href;
+    this.layer.hidden = false;
+  }
+
+  clear() {
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+
+    this.tiles.forEach(tile => this.removeTile(tile));
+    this.tiles.clear();
+
+    this.manifest = null;
+    this.layer.hidden = true;
+  }
+
+  isActive() {
+    return Boolean(this.manifest);
+  }
+
+  /**
+   * Lay the tile layer over the part of the image element the picture occupies
+   * The base image uses object-fit: contain, so it may be letterboxed.
+   * @param {HTMLImageElement} image - Base image
+   */
+  fitTo(image) {
+    if (!this.manifest) return;
+
+    const boxWidth = image.offsetWidth;
+    const boxHeight = image.offsetHeight;
+    const ratio = this.manifest.width / this.manifest.height;
+    const width = Math.min(boxWidth, boxHeight * ratio);
+    const height = width / ratio;
+
+    this.layer.style.left = `${image.offsetLeft + (boxWidth - width) / 2}px`;
+    this.layer.style.top = `${image.offsetTop + (boxHeight - height) / 2}px`;
+    this.layer.style.width = `${width}px`;
+    this.layer.style.height = `${height}px`;
+  }
+
+  // Batch updates from continuous gestures into one per frame
+  scheduleUpdate(viewport) {
+    if (!this.manifest || this.frame) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update(viewport);
+    });
+  }
+
+  /**
+   * Request the tiles visible through the viewport and drop the rest
+   * @param {HTMLElement} viewport - Element clipping the (transformed) layer
+   */
+  update(viewport) {
+    if (!this.manifest) return;
+
+    // Both rects include the zoom transform, so this is what is actually on screen
+    const layerRect = this.layer.getBoundingClientRect();
+    const viewRect = viewport.getBoundingClientRect();
+    if (!layerRect.width || !layerRect.height) return;
+
+    const clamp = value => Math.min(1, Math.max(0, value));
+    const region = {
+      left: clamp((viewRect.left - layerRect.left) / layerRect.width),
+      top: clamp((viewRect.top - layerRect.top) / layerRect.height),
+      right: clamp((viewRect.right - layerRect.left) / layerRect.width),
+      bottom: clamp((viewRect.bottom - layerRect.top) / layerRect.height)
+    };
+
+    const level = chooseLevel(this.manifest, layerRect.width * (window.devicePixelRatio || 1));
+    const size = getLevelSize(this.manifest, level);
+    const visible = region.right > region.left && region.bottom > region.top
+      ? getVisibleTiles(this.manifest, level, region)
+      : [];
+    const visibleKeys = new Set(visible.map(tile => tile.key));
+
+    // Tiles from other levels or scrolled out of view are cancelled, not just hidden
+    this.tiles.forEach((tile, key) => {
+      if (!visibleKeys.has(key)) {
+        this.removeTile(tile);
+        this.tiles.delete(key);
+      }
+    });
+
+    visible.forEach(tile => {
+      if (!this.tiles.has(tile.key)) {
+        this.tiles.set(tile.key, this.createTile(tile, size));
+      }
+    });
+  }
+
+  createTile(tile, levelSize) {
+    const image = document.createElement('img');
+    image.className = 'modal__tile';
+    image.alt = '';
+    image.draggable = false;
+    image.style.left = `${(tile.x / levelSize.width) * 100}%`;
+    image.style.top = `${(tile.y / levelSize.height) * 100}%`;
+    image.style.width = `${(tile.width / levelSize.width) * 100}%`;
+    image.style.height = `${(tile.height / levelSize.height) * 100}%`;
+
+    image.onload = () => image.classList.add('modal__tile--loaded');
+    image.onerror = () => image.remove();
+    image.src = `${this.tilesUrl}${tile.key}.${this.manifest.format}`;
+
+    this.layer.appendChild(image);
+    return image;
+  }
+
+  removeTile(image) {
+    // Clearing src aborts a download that is still in flight
+    image.onload = null;
+    image.onerror = null;
+    image.removeAttribute('src');
+    image.remove();
+  }
+}
@@ -0,0 +1,67 @@
+// Form Draft - draft.js
+// Unsent contact form content kept in localStorage, so a refresh or stray navigation doesn't lose a long brief
+
+const STORAGE_KEY = 'portfolio-contact-draft';
+
+// Drafts older than this are dropped instead of offered back
+export const DRAFT_MAX_AGE = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a draft has anything worth keeping
+ * @param {Object} draft - {fields, references}
+ * @returns {boolean} True once any field is filled in or an artwork is referenced
+ */
+export function hasDraftContent({ fields = {}, references = [] }) {
+  return references.length > 0 || Object.values(fields).some(value => typeof value === 'string' && value.trim() !== '');
+}
+
+/**
+ * Save the form's current content, or clear the draft once the form is empty
+ * @param {Object} draft - {fields: {name: value}, references: [{id, title, thumbnail}]}
+ */
+export function saveDraft(draft) {
+  if (!hasDraftContent(draft)) {
+    clearDraft();
+    return;
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...draft, savedAt: Date.now() }));
+  } catch (error) {
+    // Private browsing or a full quota; the form still works, it just can't be recovered
+    console.warn('Draft could not be saved:', error);
+  }
+}
+
+/**
+ * The saved draft, if there is one that hasn't expired
+ * @param {number} [maxAge] - Oldest draft to accept, in milliseconds
+ * @returns {Object|null} {fields, references, savedAt}
+ */
+export function loadDraft(maxAge = DRAFT_MAX_AGE) {
+  let draft;
+
+  try {
+    draft = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    draft = null;
+  }
+
+  const isValid = draft && typeof draft.fields === 'object' && draft.fields !== null &&
+    Array.isArray(draft.references) && typeof draft.savedAt === 'number';
+
+  if (!isValid || Date.now() - draft.savedAt > maxAge || !hasDraftContent(draft)) {
+    if (draft) clearDraft();
+    return null;
+  }
+
+  return draft;
+}
+
+export function clearDraft() {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    // Nothing stored to clear
+  }
+}
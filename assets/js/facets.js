@@ -0,0 +1,79 @@
+// Gallery Facets - facets.js
+// Facet filter model: options within a facet combine with OR, facets combine with AND
+
+// Catalog fields the gallery can be filtered by
+export const FACET_FIELDS = ['category', 'year', 'medium', 'collection'];
+
+/**
+ * Create an empty filter selection (nothing selected means no restriction)
+ * @returns {Object} Map of facet name to selected option values
+ */
+export function createEmptyFilters() {
+  return FACET_FIELDS.reduce((filters, facet) => {
+    filters[facet] = [];
+    return filters;
+  }, {});
+}
+
+/**
+ * Normalize an incoming facet selection
+ * @param {string|string[]|number|null|undefined} value - Raw selection
+ * @returns {string[]|undefined} Selected values, or undefined to leave the facet unchanged
+ */
+export function normalizeFacetValues(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === '' || value === 'all') return [];
+
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(values.map(String).filter(item => item && item !== 'all'))];
+}
+
+/**
+ * Check whether an artwork satisfies the selection
+ * @param {Object} item - Artwork entry
+ * @param {Object} filters - Facet selection
+ * @param {string|null} ignoreFacet - Facet to leave out, used when counting that facet's options
+ * @returns {boolean} Whether the item matches
+ */
+export function matchesFilters(item, filters, ignoreFacet = null) {
+  return FACET_FIELDS.every(facet =>
+    facet === ignoreFacet ||
+    !filters[facet].length ||
+    filters[facet].includes(String(item[facet]))
+  );
+}
+
+/**
+ * Count how many items each facet option would show
+ * An option's count respects every other facet's selection, so it reflects what
+ * clicking it would actually produce.
+ * @param {Object[]} items - Artwork entries (already narrowed by search)
+ * @param {Object} filters - Facet selection
+ * @returns {Object} Map of facet name to Map<optionValue, count>, in catalog order
+ */
+export function countFacetOptions(items, filters) {
+  return FACET_FIELDS.reduce((counts, facet) => {
+    const optionCounts = new Map();
+
+    items.forEach(item => {
+      const value = item[facet];
+      if (value === undefined || value === null || value === '') return;
+
+      const key = String(value);
+      const count = optionCounts.get(key) || 0;
+      optionCounts.set(key, matchesFilters(item, filters, facet) ? count + 1 : count);
+    });
+
+    counts[facet] = optionCounts;
+    return counts;
+  }, {});
+}
+
+/**
+ * Whether any facet has a selection
+ * @param {Object} filters - Facet selection
+ * @returns {boolean} True when at least one option is selected
+ */
+export function hasActiveFilters(filters) {
+  return FACET_FIELDS.some(facet => filters[facet].length > 0);
+}
@@ -0,0 +1,70 @@
+// Form Steps - form-steps.js
+// Step schema for the commission form wizard
+//
+// Each step matches a <fieldset data-step="id"> in the contact form and lists the named
+// fields it holds, which are validated with ContactForm's validators before moving on.
+// A step with `when` only appears while that field has one of the listed values; its
+// fields are skipped by validation and left out of the submission otherwise.
+// The review step has no fields; it summarizes every active step before submit.
+
+export const FORM_STEPS = [
+  {
+    id: 'contact',
+    title: 'About you',
+    fields: ['name', 'email']
+  },
+  {
+    id: 'project',
+    title: 'Project',
+    fields: ['project-type', 'budget', 'timeline', 'deadline']
+  },
+  {
+    id: 'characters',
+    title: 'Characters & scene',
+    fields: ['character-count', 'character-views', 'background'],
+    when: { field: 'project-type', in: ['character-design', 'illustration', 'concept-art'] }
+  },
+  {
+    id: 'cover',
+    title: 'Book cover',
+    fields: ['cover-layout', 'trim-size'],
+    when: { field: 'project-type', in: ['book-cover'] }
+  },
+  {
+    id: 'usage',
+    title: 'Usage & delivery',
+    fields: ['usage-rights', 'deliverable-formats']
+  },
+  {
+    id: 'brief',
+    title: 'Your brief',
+    fields: ['message']
+  },
+  {
+    id: 'review',
+    title: 'Review',
+    fields: [],
+    review: true
+  }
+];
+
+/**
+ * Whether a step applies to the answers so far
+ * @param {Object} step - Step from the schema
+ * @param {Object} values - Current field values by name
+ * @returns {boolean} True when the step has no condition or its condition is met
+ */
+export function isStepActive(step, values) {
+  if (!step.when) return true;
+  return step.when.in.includes(values[step.when.field]);
+}
+
+/**
+ * Steps that apply to the answers so far, in order
+ * @param {Object[]} steps - Step schema
+ * @param {Object} values - Current field values by name
+ * @returns {Object[]} Active steps
+ */
+export function getActiveSteps(steps, values) {
+  return steps.filter(step => isStepActive(step, values));
+}
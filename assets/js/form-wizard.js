@@ -0,0 +1,200 @@
+// Form Wizard - form-wizard.js
+// Shows a form one step at a time, with a progress indicator and back/next navigation
+//
+// Without JavaScript every step's fieldset stays visible and the form works as a single page.
+
+import { getActiveSteps } from './form-steps.js';
+
+export class FormWizard {
+  /**
+   * @param {HTMLFormElement} form - Form with a <fieldset data-step="id"> per step
+   * @param {Object} options - Schema and callbacks
+   * @param {Object[]} options.steps - Step schema (see form-steps.js)
+   * @param {Function} options.getValues - () => current field values by name, for branching
+   * @param {Function} options.validateStep - (step) => boolean; shows its own errors
+   * @param {Function} [options.onStepChange] - (step) => void, after a step is shown
+   * @param {Function} [options.announce] - (message) => void, for screen reader updates
+   */
+  constructor(form, { steps, getValues, validateStep, onStepChange = () => {}, announce = () => {} }) {
+    this.form = form;
+    this.schema = steps;
+    this.getValues = getValues;
+    this.validateStep = validateStep;
+    this.onStepChange = onStepChange;
+    this.announce = announce;
+
+    this.steps = [];
+    this.stepElements = new Map();
+    this.currentId = null;
+    this.progressList = null;
+    this.backButton = null;
+    this.nextButton = null;
+    this.submitButton = null;
+  }
+
+  /**
+   * Switch the form to one step at a time
+   * @returns {boolean} False when the form has no step fieldsets
+   */
+  init() {
+    this.schema.forEach(step => {
+      const element = this.form.querySelector(`[data-step="${step.id}"]`);
+      if (element) this.stepElements.set(step.id, element);
+    });
+
+    this.steps = this.schema.filter(step => this.stepElements.has(step.id));
+    if (!this.steps.length) return false;
+
+    this.progressList = this.form.querySelector('.form-progress');
+    this.backButton = this.form.querySelector('[data-wizard-back]');
+    this.nextButton = this.form.querySelector('[data-wizard-next]');
+    this.submitButton = this.form.querySelector('.form-submit');
+
+    if (this.backButton) this.backButton.addEventListener('click', () => this.back());
+    if (this.nextButton) this.nextButton.addEventListener('click', () => this.next());
+
+    // Step titles take focus when a step opens
+    this.stepElements.forEach(element => {
+      const title = element.querySelector('.form-step__title');
+      if (title) title.setAttribute('tabindex', '-1');
+    });
+
+    this.form.classList.add('contact__form--wizard');
+    if (this.progressList) this.progressList.hidden = false;
+
+    this.currentId = this.steps[0].id;
+    this.render();
+    return true;
+  }
+
+  /**
+   * Steps that apply to the answers so far
+   * @returns {Object[]} Active steps, in order
+   */
+  getActiveSteps() {
+    return getActiveSteps(this.steps, this.getValues());
+  }
+
+  // The current step, or the closest earlier one if a changed answer removed it
+  getCurrentStep() {
+    const active = this.getActiveSteps();
+    const current = active.find(step => step.id === this.currentId);
+    if (current) return current;
+
+    const schemaIndex = this.steps.findIndex(step => step.id === this.currentId);
+    const earlier = active.filter(step => this.steps.indexOf(step) < schemaIndex);
+    return earlier[earlier.length - 1] || active[0];
+  }
+
+  isLastStep() {
+    const active = this.getActiveSteps();
+    return this.getCurrentStep() === active[active.length - 1];
+  }
+
+  /**
+   * Whether a field belongs to a step that currently applies
+   * Fields outside the schema always count as active.
+   * @param {string} fieldName - Field name
+   * @returns {boolean} True if the field should be validated and sent
+   */
+  isFieldActive(fieldName) {
+    const inSchema = this.steps.some(step => step.fields.includes(fieldName));
+    return !inSchema || this.getActiveSteps().some(step => step.fields.includes(fieldName));
+  }
+
+  /**
+   * Validate the current step and move on
+   * @returns {boolean} Whether the step was valid
+   */
+  next() {
+    const current = this.getCurrentStep();
+    if (!this.validateStep(current)) return false;
+
+    const active = this.getActiveSteps();
+    const nextStep = active[active.indexOf(current) + 1];
+    if (nextStep) this.goToStep(nextStep.id);
+    return true;
+  }
+
+  // Going back never validates, so half-finished answers can be left for later
+  back() {
+    const active = this.getActiveSteps();
+    const previousStep = active[active.indexOf(this.getCurrentStep()) - 1];
+    if (previousStep) this.goToStep(previousStep.id);
+  }
+
+  /**
+   * Show a step
+   * @param {string} stepId - Step id from the schema
+   * @param {Object} [options] - Display options
+   * @param {boolean} [options.focus] - Move focus to the step title (off when focusing a field instead)
+   */
+  goToStep(stepId, { focus = true } = {}) {
+    const step = this.getActiveSteps().find(item => item.id === stepId);
+    if (!step) return;
+
+    this.currentId = step.id;
+    this.render();
+
+    const active = this.getActiveSteps();
+    this.announce(`Step ${active.indexOf(step) + 1} of ${active.length}: ${step.title}`);
+
+    if (focus) {
+      const title = this.stepElements.get(step.id).querySelector('.form-step__title');
+      if (title) title.focus();
+    }
+
+    this.onStepChange(step);
+  }
+
+  /**
+   * Show whichever step holds an element, e.g. before focusing a field with an error
+   * @param {HTMLElement} element - Element inside a step
+   * @returns {boolean} Whether the element is in an active step, now shown
+   */
+  revealElement(element) {
+    const step = this.getActiveSteps().find(item => this.stepElements.get(item.id).contains(element));
+    if (!step) return false;
+
+    if (step.id !== this.currentId) this.goToStep(step.id, { focus: false });
+    return true;
+  }
+
+  // Re-check branching after an answer changes
+  refresh() {
+    this.currentId = this.getCurrentStep().id;
+    this.render();
+  }
+
+  reset() {
+    this.currentId = this.steps[0].id;
+    this.render();
+  }
+
+  render() {
+    const active = this.getActiveSteps();
+    const current = this.getCurrentStep();
+    const currentIndex = active.indexOf(current);
+
+    this.stepElements.forEach((element, stepId) => {
+      element.hidden = stepId !== current.id;
+    });
+
+    if (this.progressList) {
+      this.progressList.innerHTML = active.map((step, index) => {
+        const state = index < currentIndex ? 'complete' : (index === currentIndex ? 'current' : 'upcoming');
+        return `
+          <li class="form-progress__step form-progress__step--${state}"${state === 'current' ? ' aria-current="step"' : ''}>
+            <span class="form-progress__number" aria-hidden="true">${index + 1}</span>
+            <span class="form-progress__label">${step.title}</span>
+            ${state === 'complete' ? '<span class="sr-only">(completed)</span>' : ''}
+          </li>
+        `;
+      }).join('');
+    }
+
+    if (this.backButton) this.backButton.hidden = currentIndex === 0;
+    if (this.nextButton) this.nextButton.hidden = currentIndex === active.length - 1;
+    if (this.submitButton) this.submitButton.hidden = currentIndex !== active.length - 1;
+  }
+}
@@ -1,13 +1,73 @@
 // Form Component - form.js
 // Handles contact form validation and submission
 
-import { debounce, generateId } from './utils.js';
+import { debounce, formatDate, generateId, prefersReducedMotion, escapeHtml } from './utils.js';
+import { getShortlist } from './shortlist.js';
+import { getTransportConfig, sendSubmission, TransportError } from './transport.js';
+import { Outbox, isRetryable } from './outbox.js';
+import { saveDraft, loadDraft, clearDraft, hasDraftContent } from './draft.js';
+import { FORM_STEPS } from './form-steps.js';
+import { FormWizard } from './form-wizard.js';
+import { loadPricingRules, estimatePrice, formatPrice } from './pricing.js';
+import {
+  ACCEPTED_TYPES,
+  MAX_FILES,
+  formatFileSize,
+  validateAttachmentType,
+  validateAttachmentSize,
+  downscaleImage
+} from './attachments.js';
+
+// Pause in typing before the draft is saved
+const DRAFT_SAVE_DELAY = 1000;
+
+// What the visitor sees for each kind of transport failure (see TransportError types)
+const SUBMIT_ERROR_MESSAGES = {
+  timeout: 'The server took too long to respond. Please try again in a moment.',
+  network: 'Your message couldn\'t be sent because the connection failed. Please check you\'re online and try again.',
+  'rate-limit': 'Too many messages have been sent from here recently. Please wait a few minutes and try again.',
+  client: 'Your message couldn\'t be accepted. Please check your details and try again.',
+  default: 'Sorry, there was an error sending your message. Please try again or contact me directly via email.'
+};
+
+// Project types for gallery categories that don't have one of their own
+const CATEGORY_PROJECT_TYPES = {
+  environment: 'concept-art'
+};
+
+// Today as YYYY-MM-DD in the visitor's time zone, the format date inputs use
+function getLocalDateString(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
 
 class ContactForm {
   constructor() {
     this.form = document.querySelector('#contact-form');
     this.submitButton = null;
     this.statusElement = null;
+    this.transportConfig = null;
+    this.outbox = null;
+    this.queuedEntries = [];
+    this.statusTimer = null;
+    this.shortlistOption = null;
+    this.shortlistCheckbox = null;
+    this.referencesGroup = null;
+    this.referencesList = null;
+    this.references = [];
+    this.attachmentsGroup = null;
+    this.attachmentsInput = null;
+    this.attachmentsList = null;
+    this.attachments = [];
+    this.maxImageDimension = 0;
+    this.draftBanner = null;
+    this.pendingDraft = null;
+    this.wizard = null;
+    this.reviewContainer = null;
+    this.estimatePanel = null;
+    this.pricing = null;
+    this.estimate = null;
     this.fields = {};
     this.validators = {};
     this.isSubmitting = false;
@@ -22,11 +82,19 @@ class ContactForm {
     this.setupFields();
     this.setupValidators();
     this.setupEventListeners();
+    this.setupWizard();
+    this.setupEstimate();
+    this.setupShortlistOption();
+    this.setupReferences();
+    this.setupAttachments();
+    this.setupOutbox();
+    this.setupDraft();
   }
   
   setupForm() {
     this.submitButton = this.form.querySelector('.form-submit');
     this.statusElement = this.form.querySelector('#form-status');
+    this.transportConfig = getTransportConfig(this.form);
     
     // Ensure form has proper attributes
     this.form.setAttribute('novalidate', 'true');
@@ -38,8 +106,13 @@ class ContactForm {
     
     inputs.forEach(input => {
       const name = input.name;
-      if (name) {
+      
+      // Checkboxes sharing a name form one field whose value lists the checked ones
+      if (name && input.type === 'checkbox' && this.fields[name]) {
+        this.fields[name].elements.push(input);
+      } else if (name) {
         this.fields[name] = {
+          elements: input.type === 'checkbox' ? [input] : null,
           element: input,
           errorElement: this.form.querySelector(`#${name}-error`),
           isValid: false,
@@ -83,6 +156,47 @@ class ContactForm {
       
       timeline: {
         required: false
+      },
+      
+      deadline: {
+        required: false,
+        custom: (value) => !value || value >= getLocalDateString(),
+        message: 'Please choose a date that hasn\'t passed yet'
+      },
+      
+      'character-count': {
+        required: true,
+        pattern: /^\d+$/,
+        custom: (value) => Number(value) >= 1 && Number(value) <= 20,
+        message: 'Please enter a number of characters between 1 and 20'
+      },
+      
+      'character-views': {
+        required: false
+      },
+      
+      background: {
+        required: false
+      },
+      
+      'cover-layout': {
+        required: true,
+        message: 'Please select a cover layout'
+      },
+      
+      'trim-size': {
+        required: false,
+        maxLength: 40
+      },
+      
+      'usage-rights': {
+        required: true,
+        message: 'Please select how the artwork will be used'
+      },
+      
+      'deliverable-formats': {
+        required: true,
+        message: 'Please choose at least one format'
       }
     };
   }
@@ -97,7 +211,7 @@ class ContactForm {
     // Field validation events
     Object.keys(this.fields).forEach(fieldName => {
       const field = this.fields[fieldName];
-      const input = field.element;
+      const inputs = field.elements || [field.element];
       
       // Real-time validation with debounce
       const debouncedValidation = debounce(() => {
@@ -106,30 +220,755 @@ class ContactForm {
         }
       }, 300);
       
-      // Input events
-      input.addEventListener('input', (e) => {
-        field.value = e.target.value;
-        field.touched = true;
-        debouncedValidation();
+      inputs.forEach(input => {
+        // Input events
+        input.addEventListener('input', () => {
+          field.value = this.getInputValue(field);
+          field.touched = true;
+          debouncedValidation();
+        });
+        
+        // Blur events, except when moving between checkboxes of one field
+        input.addEventListener('blur', (e) => {
+          if (field.elements && field.elements.includes(e.relatedTarget)) return;
+          
+          field.touched = true;
+          this.validateField(fieldName);
+        });
+        
+        // Focus events (clear errors)
+        input.addEventListener('focus', () => {
+          this.clearFieldError(fieldName);
+        });
+      });
+    });
+    
+    // Character count for message field
+    const messageField = this.fields.message;
+    if (messageField) {
+      this.setupCharacterCount(messageField);
+    }
+  }
+  
+  setupWizard() {
+    this.reviewContainer = this.form.querySelector('#form-review');
+    
+    this.wizard = new FormWizard(this.form, {
+      steps: FORM_STEPS,
+      getValues: () => this.getFieldValues(),
+      validateStep: (step) => this.validateStep(step),
+      onStepChange: (step) => {
+        if (step.review) this.renderReview();
+      },
+      announce: (message) => this.announce(message)
+    });
+    
+    if (!this.wizard.init()) {
+      this.wizard = null;
+      return;
+    }
+    
+    // Which steps apply depends on the project type
+    const projectType = this.fields['project-type'];
+    if (projectType) {
+      projectType.element.addEventListener('change', () => this.wizard.refresh());
+    }
+    
+    if (this.reviewContainer) {
+      this.reviewContainer.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-edit-step]');
+        if (button) this.wizard.goToStep(button.dataset.editStep);
       });
+    }
+  }
+  
+  /**
+   * Validate the fields of one wizard step
+   * @param {Object} step - Step from the schema
+   * @returns {boolean} Whether every field in the step is valid
+   */
+  validateStep(step) {
+    const results = step.fields
+      .filter(fieldName => this.fields[fieldName])
+      .map(fieldName => this.validateField(fieldName));
+      
+    if (results.every(Boolean)) {
+      // Clear the error from an earlier attempt at this step
+      if (this.statusElement && this.statusElement.classList.contains('form-status--error')) {
+        this.statusElement.style.display = 'none';
+      }
+      return true;
+    }
+    
+    this.showStatus('error', 'Please correct the errors above to continue.');
+    this.focusFirstError(step.fields);
+    return false;
+  }
+  
+  // Everything the visitor will send, grouped by step, each with a way back to edit it
+  renderReview() {
+    if (!this.reviewContainer || !this.wizard) return;
+    
+    this.reviewContainer.innerHTML = '';
+    
+    this.wizard.getActiveSteps().filter(step => !step.review).forEach(step => {
+      const section = document.createElement('section');
+      section.className = 'form-review__section';
+      section.innerHTML = `
+        <div class="form-review__header">
+          <h4 class="form-review__title"></h4>
+          <button type="button" class="form-review__edit" data-edit-step="${step.id}">Edit</button>
+        </div>
+        <dl class="form-review__list"></dl>
+      `;
+      section.querySelector('.form-review__title').textContent = step.title;
+      section.querySelector('.form-review__edit').setAttribute('aria-label', `Edit ${step.title}`);
+      
+      const list = section.querySelector('.form-review__list');
+      const addItem = (label, value) => {
+        const item = document.createElement('div');
+        item.className = 'form-review__item';
+        item.innerHTML = '<dt></dt><dd></dd>';
+        item.querySelector('dt').textContent = label;
+        item.querySelector('dd').textContent = value || 'Not specified';
+        list.appendChild(item);
+      };
       
-      // Blur events
-      input.addEventListener('blur', () => {
-        field.touched = true;
-        this.validateField(fieldName);
+      step.fields.filter(fieldName => this.fields[fieldName]).forEach(fieldName => {
+        addItem(this.getFieldLabel(fieldName), this.getDisplayValue(fieldName));
       });
       
-      // Focus events (clear errors)
-      input.addEventListener('focus', () => {
-        this.clearFieldError(fieldName);
+      // References, images and the shortlist live in the same step as the message
+      const stepElement = this.form.querySelector(`[data-step="${step.id}"]`);
+      if (this.references.length && stepElement.contains(this.referencesGroup)) {
+        addItem('Referenced artwork', this.references.map(reference => reference.title).join(', '));
+      }
+      
+      const attachments = this.getSendableAttachments();
+      if (attachments.length && stepElement.contains(this.attachmentsGroup)) {
+        addItem('Reference images', attachments.map(attachment => attachment.file.name).join(', '));
+      }
+      
+      if (this.shortlistCheckbox?.checked && stepElement.contains(this.shortlistCheckbox)) {
+        const count = getShortlist().length;
+        addItem('Shortlist', `${count} ${count === 1 ? 'piece' : 'pieces'} attached`);
+      }
+      
+      this.reviewContainer.appendChild(section);
+    });
+  }
+  
+  getFieldLabel(fieldName) {
+    const label = this.fields[fieldName].element.closest('.form-group')?.querySelector('.form-label');
+    return label ? label.textContent.replace(/\s*\*\s*$/, '').trim() : fieldName;
+  }
+  
+  // What the visitor chose, as they saw it: option and checkbox text rather than values
+  getDisplayValue(fieldName) {
+    const field = this.fields[fieldName];
+    const input = field.element;
+    
+    if (field.elements) {
+      return field.elements
+        .filter(checkbox => checkbox.checked)
+        .map(checkbox => checkbox.closest('label')?.textContent.trim() || checkbox.value)
+        .join(', ');
+    }
+    
+    if (input.tagName === 'SELECT') {
+      return input.value ? input.options[input.selectedIndex].textContent.trim() : '';
+    }
+    
+    if (input.type === 'date' && input.value) {
+      return formatDate(`${input.value}T00:00:00`);
+    }
+    
+    return input.value.trim();
+  }
+  
+  setupEstimate() {
+    this.estimatePanel = document.querySelector('#form-estimate');
+    if (!this.estimatePanel) return;
+    
+    this.form.addEventListener('input', () => this.updateEstimate());
+    this.form.addEventListener('change', () => this.updateEstimate());
+    
+    loadPricingRules()
+      .then(pricing => {
+        this.pricing = pricing;
+        this.estimatePanel.hidden = false;
+        this.updateEstimate();
+      })
+      .catch(error => {
+        // The static pricing guide still gives an idea of rates
+        console.warn('Price estimate unavailable:', error);
       });
+  }
+  
+  updateEstimate() {
+    if (!this.pricing) return;
+    
+    this.estimate = estimatePrice(this.pricing, this.getActiveFieldValues());
+    
+    const range = this.estimatePanel.querySelector('#form-estimate-range');
+    const breakdown = this.estimatePanel.querySelector('#form-estimate-breakdown');
+    
+    if (!this.estimate) {
+      range.textContent = 'Choose a project type to see an estimate.';
+      breakdown.innerHTML = '';
+      return;
+    }
+    
+    const { min, max, currency, adjustments } = this.estimate;
+    const text = `${formatPrice(min, currency)} – ${formatPrice(max, currency)}`;
+    
+    // Only touch the live region when the range actually changes
+    if (range.textContent !== text) range.textContent = text;
+    
+    const projectType = this.fields['project-type'];
+    const base = this.pricing.base[this.getInputValue(projectType)];
+    const lines = [
+      `${this.getDisplayValue('project-type')}: ${formatPrice(base.min, currency)} – ${formatPrice(base.max, currency)}`,
+      ...adjustments.map(adjustment => adjustment.factor
+        ? `${adjustment.label}: ×${adjustment.factor}`
+        : `${adjustment.label}: +${formatPrice(adjustment.min, currency)} – ${formatPrice(adjustment.max, currency)}`)
+    ];
+    
+    breakdown.innerHTML = '';
+    lines.forEach(line => {
+      const item = document.createElement('li');
+      item.textContent = line;
+      breakdown.appendChild(item);
     });
+  }
+  
+  setupOutbox() {
+    // The service worker retries queued messages through Background Sync where supported
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.register('sw.js', { type: 'module' }).catch(error => {
+        console.warn('Service worker registration failed:', error);
+      });
+    }
+    
+    this.outbox = new Outbox({
+      onSent: () => {
+        this.showStatus('success', 'Your queued message has been sent. I\'ll get back to you within 24-48 hours.');
+      },
+      onFailed: (entry) => {
+        this.restoreFormData(entry.data);
+        this.showStatus('error', 'Your queued message couldn\'t be delivered. It\'s back in the form so you can check it and try again.');
+      },
+      onChange: (entries) => this.updateQueuedStatus(entries)
+    });
+    
+    this.outbox.init().catch(error => {
+      console.warn('Offline outbox unavailable:', error);
+      this.outbox = null;
+    });
+  }
+  
+  setupDraft() {
+    this.draftBanner = this.form.querySelector('#form-draft');
+    
+    // Field edits and added or removed references
+    const debouncedSave = debounce(() => this.saveDraft(), DRAFT_SAVE_DELAY);
+    this.form.addEventListener('input', debouncedSave);
+    this.form.addEventListener('change', debouncedSave);
+    this.form.addEventListener('referencesChange', debouncedSave);
+    
+    // Catch the last keystrokes before the page goes away
+    window.addEventListener('pagehide', () => this.saveDraft());
+    
+    if (this.draftBanner) {
+      this.draftBanner.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-draft-action]');
+        if (!button) return;
+        
+        if (button.dataset.draftAction === 'restore') {
+          this.restoreDraft();
+        } else {
+          this.discardDraft();
+        }
+      });
+    }
+    
+    this.pendingDraft = loadDraft();
+    if (this.pendingDraft) this.showDraftBanner();
+  }
+  
+  saveDraft() {
+    const fields = {};
+    Object.keys(this.fields).forEach(fieldName => {
+      fields[fieldName] = this.getInputValue(this.fields[fieldName]);
+    });
+    
+    const draft = { fields, references: this.getReferences() };
+    
+    // New edits are saved even while the banner is unanswered, since restoring uses the copy in pendingDraft;
+    // only an untouched form is kept from wiping the draft the banner is still offering
+    if (this.pendingDraft && !hasDraftContent(draft)) return;
+    
+    saveDraft(draft);
+  }
+  
+  showDraftBanner() {
+    if (!this.draftBanner) return;
+    
+    const savedText = this.draftBanner.querySelector('#form-draft-saved');
+    if (savedText) {
+      savedText.textContent = `Saved ${formatDate(this.pendingDraft.savedAt)}.`;
+    }
+    
+    this.draftBanner.hidden = false;
+  }
+  
+  hideDraftBanner() {
+    this.pendingDraft = null;
+    if (this.draftBanner) this.draftBanner.hidden = true;
+  }
+  
+  /**
+   * Put the draft saved on an earlier visit back into the form
+   * Replaces whatever has been entered since.
+   */
+  restoreDraft() {
+    if (!this.pendingDraft) return;
+    
+    const { fields, references } = this.pendingDraft;
+    
+    // Restored as typed, without showing errors for a brief that's still in progress
+    Object.keys(this.fields).forEach(fieldName => {
+      const field = this.fields[fieldName];
+      const value = typeof fields[fieldName] === 'string' ? fields[fieldName] : '';
+      this.setInputValue(field, value);
+      field.value = value;
+    });
+    
+    this.references = references.filter(reference => reference && reference.id);
+    this.renderReferences();
+    
+    if (this.wizard) this.wizard.refresh();
+    this.updateEstimate();
+    
+    this.hideDraftBanner();
+    this.saveDraft();
     
-    // Character count for message field
     const messageField = this.fields.message;
     if (messageField) {
-      this.setupCharacterCount(messageField);
+      // Refresh the character count, still without validating
+      messageField.element.dispatchEvent(new Event('input'));
+      messageField.touched = false;
+      if (this.wizard) this.wizard.revealElement(messageField.element);
+      messageField.element.focus();
+    }
+    
+    this.announce('Your draft has been restored.');
+  }
+  
+  discardDraft() {
+    clearDraft();
+    this.hideDraftBanner();
+    
+    // Save anything entered while the banner was showing
+    this.saveDraft();
+    
+    const firstField = Object.values(this.fields)[0];
+    if (firstField) firstField.element.focus();
+    
+    this.announce('Draft discarded.');
+  }
+  
+  setupShortlistOption() {
+    this.shortlistOption = this.form.querySelector('#shortlist-option');
+    this.shortlistCheckbox = this.form.querySelector('#attach-shortlist');
+    if (!this.shortlistOption || !this.shortlistCheckbox) return;
+    
+    document.addEventListener('shortlistChange', () => this.updateShortlistOption());
+    this.updateShortlistOption();
+  }
+  
+  // Only offered once something is shortlisted
+  updateShortlistOption() {
+    const count = getShortlist().length;
+    const label = this.form.querySelector('#attach-shortlist-label');
+    
+    this.shortlistOption.hidden = count === 0;
+    if (!count) this.shortlistCheckbox.checked = false;
+    
+    if (label) {
+      label.textContent = `Attach my shortlist (${count} ${count === 1 ? 'piece' : 'pieces'}) as reference artwork`;
+    }
+  }
+  
+  setupReferences() {
+    this.referencesGroup = this.form.querySelector('#form-references');
+    this.referencesList = this.form.querySelector('.form-references__list');
+    
+    // "Inquire about a piece like this" in the lightbox
+    document.addEventListener('inquireAboutArtwork', (e) => {
+      const { artwork } = e.detail || {};
+      if (artwork) this.inquireAbout(artwork);
+    });
+    
+    if (this.referencesList) {
+      this.referencesList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-remove-reference]');
+        if (button) this.removeReference(button.dataset.removeReference);
+      });
+    }
+  }
+  
+  /**
+   * Start or extend an inquiry about an artwork
+   * Adds it as a reference, preselects a matching project type and drafts an opening line.
+   * Anything the visitor already chose or wrote is left alone.
+   * @param {Object} artwork - Artwork entry
+   */
+  inquireAbout(artwork) {
+    this.addReference(artwork);
+    
+    const projectType = this.getProjectTypeForCategory(artwork.category);
+    if (projectType && !this.getFieldValue('project-type')) {
+      this.setFieldValue('project-type', projectType);
     }
+    
+    const messageField = this.fields.message;
+    if (messageField && !messageField.element.value.trim()) {
+      this.setFieldValue('message', `Hi! I'd like to commission a piece like "${artwork.title}". `);
+      messageField.element.dispatchEvent(new Event('input'));
+    }
+    
+    const contactSection = document.querySelector('#contact');
+    if (contactSection) {
+      contactSection.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth' });
+    }
+    
+    if (messageField) {
+      if (this.wizard) this.wizard.revealElement(messageField.element);
+      messageField.element.focus({ preventScroll: true });
+    }
+  }
+  
+  getProjectTypeForCategory(category) {
+    const select = this.fields['project-type']?.element;
+    if (!select) return '';
+    
+    const projectType = CATEGORY_PROJECT_TYPES[category] || category;
+    const hasOption = Array.from(select.options).some(option => option.value === projectType);
+    
+    return hasOption ? projectType : 'other';
+  }
+  
+  /**
+   * Reference an artwork in the inquiry
+   * @param {Object} artwork - Artwork entry
+   */
+  addReference(artwork) {
+    if (this.references.some(reference => reference.id === artwork.id)) return;
+    
+    this.references.push({
+      id: artwork.id,
+      title: artwork.title,
+      thumbnail: artwork.thumbnail
+    });
+    
+    this.renderReferences();
+    this.announce(`${artwork.title} added to your inquiry as a reference.`);
+  }
+  
+  removeReference(artworkId) {
+    const index = this.references.findIndex(reference => reference.id === artworkId);
+    if (index === -1) return;
+    
+    const [removed] = this.references.splice(index, 1);
+    this.renderReferences();
+    this.announce(`Removed ${removed.title} from your inquiry.`);
+    
+    // Keep focus on the next chip, or move on to the message once they're all gone
+    const buttons = this.referencesList.querySelectorAll('[data-remove-reference]');
+    const nextFocus = buttons[Math.min(index, buttons.length - 1)] || this.fields.message?.element;
+    if (nextFocus) nextFocus.focus();
+  }
+  
+  renderReferences() {
+    if (!this.referencesGroup || !this.referencesList) return;
+    
+    this.referencesGroup.hidden = this.references.length === 0;
+    this.referencesList.innerHTML = '';
+    
+    this.references.forEach(reference => {
+      const item = document.createElement('li');
+      item.className = 'reference-chip';
+      item.innerHTML = `
+        <img class="reference-chip__image" src="${escapeHtml(reference.thumbnail)}" alt="">
+        <span class="reference-chip__title"></span>
+        <button type="button" class="reference-chip__remove" data-remove-reference="${escapeHtml(reference.id)}">
+          <i class="fas fa-times" aria-hidden="true"></i>
+        </button>
+      `;
+      item.querySelector('.reference-chip__title').textContent = reference.title;
+      item.querySelector('.reference-chip__remove').setAttribute('aria-label', `Remove reference: ${reference.title}`);
+      
+      this.referencesList.appendChild(item);
+    });
+    
+    this.form.dispatchEvent(new CustomEvent('referencesChange'));
+  }
+  
+  setupAttachments() {
+    this.attachmentsGroup = this.form.querySelector('#form-attachments');
+    this.attachmentsInput = this.form.querySelector('#attachments');
+    this.attachmentsList = this.form.querySelector('.form-attachments__list');
+    if (!this.attachmentsGroup || !this.attachmentsInput || !this.attachmentsList) return;
+    
+    // A mailto link can't carry files
+    if (this.transportConfig.transport === 'mailto') {
+      this.attachmentsGroup.hidden = true;
+      this.attachmentsGroup = null;
+      return;
+    }
+    
+    this.attachmentsGroup.hidden = false;
+    this.attachmentsInput.accept = ACCEPTED_TYPES.join(',');
+    this.maxImageDimension = parseInt(this.attachmentsGroup.dataset.maxDimension, 10) || 0;
+    
+    this.attachmentsInput.addEventListener('change', () => {
+      this.addAttachments(this.attachmentsInput.files);
+      this.attachmentsInput.value = '';
+    });
+    
+    const dropzone = this.attachmentsGroup.querySelector('.form-attachments__dropzone');
+    if (dropzone) {
+      dropzone.addEventListener('dragover', (e) => {
+        if (!Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'copy';
+        dropzone.classList.add('form-attachments__dropzone--active');
+      });
+      
+      dropzone.addEventListener('dragleave', (e) => {
+        if (!dropzone.contains(e.relatedTarget)) {
+          dropzone.classList.remove('form-attachments__dropzone--active');
+        }
+      });
+      
+      dropzone.addEventListener('drop', (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('form-attachments__dropzone--active');
+        this.addAttachments(e.dataTransfer.files);
+      });
+    }
+    
+    // Images pasted anywhere in the form, e.g. a screenshot into the message
+    this.form.addEventListener('paste', (e) => {
+      const files = Array.from(e.clipboardData?.files || []);
+      if (!files.length) return;
+      
+      e.preventDefault();
+      this.addAttachments(files);
+    });
+    
+    this.attachmentsList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-remove-attachment]');
+      if (button) this.removeAttachment(button.dataset.removeAttachment);
+    });
+  }
+  
+  /**
+   * Attach reference images
+   * Each file gets its own entry, including ones that are rejected, so the visitor can see why.
+   * @param {FileList|File[]} files - Chosen, dropped or pasted files
+   */
+  addAttachments(files) {
+    if (!this.attachmentsGroup) return;
+    
+    const added = Array.from(files).map(file => {
+      const attachment = {
+        id: generateId('attachment'),
+        file,
+        status: 'processing',
+        error: '',
+        detail: '',
+        progress: 0,
+        previewUrl: '',
+        element: null
+      };
+      
+      const acceptedCount = this.attachments.filter(item => item.status !== 'error').length;
+      const typeError = validateAttachmentType(file);
+      
+      if (acceptedCount >= MAX_FILES) {
+        this.setAttachmentError(attachment, `Only ${MAX_FILES} images can be attached.`);
+      } else if (typeError) {
+        this.setAttachmentError(attachment, typeError);
+      } else {
+        attachment.previewUrl = URL.createObjectURL(file);
+        attachment.ready = this.processAttachment(attachment);
+      }
+      
+      this.attachments.push(attachment);
+      this.renderAttachment(attachment);
+      return attachment;
+    });
+    
+    if (added.length) {
+      this.announce(`${added.length} ${added.length === 1 ? 'file' : 'files'} added to your inquiry.`);
+    }
+  }
+  
+  async processAttachment(attachment) {
+    const originalSize = attachment.file.size;
+    
+    try {
+      const { file, resized, width, height } = await downscaleImage(attachment.file, this.maxImageDimension);
+      attachment.file = file;
+      
+      const sizeError = validateAttachmentSize(file);
+      if (sizeError) {
+        this.setAttachmentError(attachment, sizeError);
+      } else {
+        attachment.status = 'ready';
+        attachment.detail = resized
+          ? `${formatFileSize(file.size)}, resized to ${width}×${height} from ${formatFileSize(originalSize)}`
+          : formatFileSize(file.size);
+      }
+    } catch (error) {
+      this.setAttachmentError(attachment, 'This image couldn\'t be read.');
+    }
+    
+    this.renderAttachment(attachment);
+  }
+  
+  setAttachmentError(attachment, message) {
+    attachment.status = 'error';
+    attachment.error = message;
+  }
+  
+  removeAttachment(attachmentId) {
+    const index = this.attachments.findIndex(attachment => attachment.id === attachmentId);
+    if (index === -1) return;
+    
+    const [removed] = this.attachments.splice(index, 1);
+    if (removed.previewUrl) URL.revokeObjectURL(removed.previewUrl);
+    removed.element.remove();
+    
+    this.announce(`Removed ${removed.file.name}.`);
+    
+    // Keep focus in the list, or return it to the file picker once it's empty
+    const buttons = this.attachmentsList.querySelectorAll('[data-remove-attachment]');
+    const nextFocus = buttons[Math.min(index, buttons.length - 1)] || this.attachmentsInput;
+    nextFocus.focus();
+  }
+  
+  clearAttachments() {
+    this.attachments.forEach(attachment => {
+      if (attachment.previewUrl) URL.revokeObjectURL(attachment.previewUrl);
+    });
+    
+    this.attachments = [];
+    if (this.attachmentsList) this.attachmentsList.innerHTML = '';
+  }
+  
+  // Updates the attachment's own list item, so thumbnails don't reload on every progress event
+  renderAttachment(attachment) {
+    if (!attachment.element) {
+      attachment.element = document.createElement('li');
+      attachment.element.innerHTML = `
+        <span class="attachment__preview"></span>
+        <span class="attachment__info">
+          <span class="attachment__name"></span>
+          <span class="attachment__status"></span>
+          <span class="attachment__progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" hidden>
+            <span class="attachment__progress-bar"></span>
+          </span>
+        </span>
+        <button type="button" class="attachment__remove" data-remove-attachment="${attachment.id}">
+          <i class="fas fa-times" aria-hidden="true"></i>
+        </button>
+      `;
+      
+      if (attachment.previewUrl) {
+        const image = document.createElement('img');
+        image.className = 'attachment__image';
+        image.src = attachment.previewUrl;
+        image.alt = '';
+        attachment.element.querySelector('.attachment__preview').appendChild(image);
+      }
+      
+      attachment.element.querySelector('.attachment__name').textContent = attachment.file.name;
+      attachment.element.querySelector('.attachment__progress').setAttribute('aria-label', `Upload progress: ${attachment.file.name}`);
+      attachment.element.querySelector('.attachment__remove').setAttribute('aria-label', `Remove attachment: ${attachment.file.name}`);
+      
+      this.attachmentsList.appendChild(attachment.element);
+    }
+    
+    const statusText = {
+      processing: 'Preparing...',
+      ready: attachment.detail,
+      uploading: `Uploading ${attachment.progress}%`,
+      sent: 'Uploaded',
+      failed: `Upload failed. It will be sent again with your message. ${attachment.detail}`,
+      error: attachment.error
+    };
+    
+    attachment.element.className = `attachment attachment--${attachment.status}`;
+    attachment.element.querySelector('.attachment__status').textContent = statusText[attachment.status];
+    
+    const progress = attachment.element.querySelector('.attachment__progress');
+    progress.hidden = attachment.status !== 'uploading';
+    progress.setAttribute('aria-valuenow', attachment.progress);
+    progress.firstElementChild.style.width = `${attachment.progress}%`;
+  }
+  
+  // Attachments that will go with the submission
+  getSendableAttachments() {
+    return this.attachments.filter(attachment => ['ready', 'uploading', 'failed'].includes(attachment.status));
+  }
+  
+  setSendingAttachments(status) {
+    this.getSendableAttachments().forEach(attachment => {
+      attachment.status = status;
+      attachment.progress = status === 'sent' ? 100 : 0;
+      this.renderAttachment(attachment);
+    });
+  }
+  
+  /**
+   * Spread upload progress across the attachments
+   * collectFormData adds the files last, so they are the last parts of the multipart body, in order,
+   * and a byte count maps onto them.
+   * @param {number} loaded - Bytes uploaded
+   * @param {number} total - Size of the whole request body
+   */
+  updateAttachmentProgress(loaded, total) {
+    const attachments = this.getSendableAttachments();
+    const filesSize = attachments.reduce((sum, attachment) => sum + attachment.file.size, 0);
+    let start = Math.max(0, total - filesSize);
+    
+    attachments.forEach(attachment => {
+      const size = attachment.file.size || 1;
+      const progress = Math.round(Math.min(1, Math.max(0, (loaded - start) / size)) * 100);
+      start += attachment.file.size;
+      
+      if (progress !== attachment.progress) {
+        attachment.progress = progress;
+        this.renderAttachment(attachment);
+      }
+    });
+  }
+  
+  // Every attachment must be ready or removed before sending
+  validateAttachments() {
+    const failed = this.attachments.find(attachment => attachment.status === 'error');
+    if (!failed) return true;
+    
+    this.showStatus('error', 'Some attachments can\'t be sent. Remove them and try again.');
+    
+    const removeButton = failed.element.querySelector('.attachment__remove');
+    if (this.wizard) this.wizard.revealElement(removeButton);
+    removeButton.focus();
+    return false;
   }
   
   setupCharacterCount(field) {
@@ -170,7 +1009,7 @@ class ContactForm {
     
     if (!field || !validator) return true;
     
-    const value = field.element.value.trim();
+    const value = this.getInputValue(field).trim();
     let isValid = true;
     let errorMessage = '';
     
@@ -269,8 +1108,10 @@ class ContactForm {
       fieldName => this.validators[fieldName].required
     );
     
-    // Validate all fields
+    // Validate all fields, skipping wizard steps that don't apply
     Object.keys(this.fields).forEach(fieldName => {
+      if (this.wizard && !this.wizard.isFieldActive(fieldName)) return;
+      
       const fieldValid = this.validateField(fieldName);
       if (!fieldValid) {
         isFormValid = false;
@@ -283,6 +1124,12 @@ class ContactForm {
   async handleSubmit() {
     if (this.isSubmitting) return;
     
+    // Enter in an earlier step moves on rather than sending
+    if (this.wizard && !this.wizard.isLastStep()) {
+      this.wizard.next();
+      return;
+    }
+    
     // Validate form
     const isValid = this.validateForm();
     
@@ -292,18 +1139,36 @@ class ContactForm {
       return;
     }
     
+    if (!this.validateAttachments()) return;
+    
     this.isSubmitting = true;
     this.setSubmitButtonState(true);
     this.showStatus('loading', 'Sending your message...');
     
     try {
+      // Images still being resized
+      await Promise.all(this.attachments.map(attachment => attachment.ready));
+      if (!this.validateAttachments()) return;
+      
       // Collect form data
       const formData = this.collectFormData();
       
-      // Submit form (simulate API call)
+      // Submit form through the configured transport
       const response = await this.submitForm(formData);
       
-      if (response.success) {
+      if (response.queued) {
+        this.resetForm();
+        this.showQueuedStatus();
+      } else if (response.transport === 'mailto') {
+        // There's no telling whether a mail app opened, so the brief and its draft stay until the visitor says so
+        this.showStatus('info', 'Your email app should now open with your message ready to send. Didn\'t open? Your message is still here, so you can copy it or email me directly.', {
+          label: 'It opened, clear the form',
+          onClick: () => {
+            this.resetForm();
+            this.showStatus('success', 'Form cleared. Thanks for getting in touch!');
+          }
+        });
+      } else if (response.success) {
         this.showStatus('success', 'Thank you! Your message has been sent successfully. I\'ll get back to you within 24-48 hours.');
         this.resetForm();
       } else {
@@ -312,7 +1177,8 @@ class ContactForm {
       
     } catch (error) {
       console.error('Form submission error:', error);
-      this.showStatus('error', 'Sorry, there was an error sending your message. Please try again or contact me directly via email.');
+      this.setSendingAttachments('failed');
+      this.showStatus('error', SUBMIT_ERROR_MESSAGES[error.type] || SUBMIT_ERROR_MESSAGES.default);
     } finally {
       this.isSubmitting = false;
       this.setSubmitButtonState(false);
@@ -323,30 +1189,140 @@ class ContactForm {
     const data = {};
     
     Object.keys(this.fields).forEach(fieldName => {
+      if (this.wizard && !this.wizard.isFieldActive(fieldName)) return;
       data[fieldName] = this.fields[fieldName].value;
     });
     
+    // Artwork the client referenced from the lightbox, plus their shortlist if attached
+    const referencedArtworks = this.references.map(reference => reference.id);
+    if (this.shortlistCheckbox && this.shortlistCheckbox.checked) {
+      referencedArtworks.push(...getShortlist());
+    }
+    
+    if (referencedArtworks.length) {
+      data.referencedArtworks = [...new Set(referencedArtworks)];
+    }
+    
+    // The estimate the visitor saw, for comparing against the quote
+    if (this.estimate) {
+      data.estimateMin = this.estimate.min;
+      data.estimateMax = this.estimate.max;
+      data.estimateCurrency = this.estimate.currency;
+    }
+    
     // Add timestamp
     data.timestamp = new Date().toISOString();
     data.userAgent = navigator.userAgent;
     
+    // Reference images, sent as multipart; added last so they end the body (see updateAttachmentProgress)
+    const attachments = this.getSendableAttachments();
+    if (attachments.length) {
+      data.attachments = attachments.map(attachment => attachment.file);
+    }
+    
     return data;
   }
   
   async submitForm(formData) {
-    // Simulate form submission
-    // In a real application, this would send to your backend or form service
-    return new Promise((resolve) => {
-      setTimeout(() => {
-        // Simulate successful submission
-        resolve({
-          success: true,
-          message: 'Form submitted successfully'
-        });
-      }, 2000);
+    // Offline right now: queue without waiting for the request to fail
+    if (!navigator.onLine && this.canQueue()) {
+      return this.queueSubmission(formData);
+    }
+    
+    const hasAttachments = Boolean(formData.attachments);
+    if (hasAttachments) this.setSendingAttachments('uploading');
+    
+    try {
+      const response = await sendSubmission(formData, this.transportConfig, {
+        onProgress: hasAttachments ? (loaded, total) => this.updateAttachmentProgress(loaded, total) : null
+      });
+      
+      if (hasAttachments) this.setSendingAttachments('sent');
+      return response;
+    } catch (error) {
+      if (isRetryable(error) && this.canQueue()) {
+        return this.queueSubmission(formData, error);
+      }
+      throw error;
+    }
+  }
+  
+  // mailto hands off to the mail app, so there's nothing to retry
+  canQueue() {
+    return Boolean(this.outbox) && this.transportConfig.transport !== 'mailto';
+  }
+  
+  async queueSubmission(formData, sendError = null) {
+    try {
+      await this.outbox.add(formData, this.transportConfig);
+      return { success: true, queued: true };
+    } catch (error) {
+      console.warn('Could not queue the submission:', error);
+      throw sendError || new TransportError('Offline and the outbox is unavailable', { type: 'network' });
+    }
+  }
+  
+  updateQueuedStatus(entries) {
+    this.queuedEntries = entries;
+    
+    if (entries.length) {
+      this.showQueuedStatus();
+    } else if (this.statusElement && this.statusElement.classList.contains('form-status--queued')) {
+      this.statusElement.style.display = 'none';
+    }
+  }
+  
+  showQueuedStatus() {
+    const count = this.queuedEntries.length || 1;
+    const message = count === 1
+      ? 'You\'re offline or the server can\'t be reached, so your message is queued. It will send when you\'re back online.'
+      : `${count} messages are queued. They will send when you're back online.`;
+      
+    this.showStatus('queued', message, {
+      label: 'Cancel sending',
+      onClick: () => this.cancelQueued()
     });
   }
   
+  async cancelQueued() {
+    if (!this.outbox) return;
+    
+    const cancelled = await this.outbox.cancel();
+    const latest = cancelled[cancelled.length - 1];
+    
+    if (latest) {
+      this.restoreFormData(latest.data);
+    }
+    
+    this.showStatus('info', 'Sending cancelled. Your message is back in the form.');
+    
+    if (this.fields.message) {
+      if (this.wizard) this.wizard.revealElement(this.fields.message.element);
+      this.fields.message.element.focus({ preventScroll: true });
+    }
+  }
+  
+  // Put an unsent message back, unless the visitor has started a new one
+  restoreFormData(data) {
+    const messageField = this.fields.message;
+    if (messageField && messageField.element.value.trim()) return;
+    
+    Object.keys(this.fields).forEach(fieldName => {
+      if (typeof data[fieldName] === 'string' && data[fieldName]) {
+        this.setFieldValue(fieldName, data[fieldName]);
+      }
+    });
+    
+    if (Array.isArray(data.attachments) && !this.attachments.length) {
+      this.addAttachments(data.attachments);
+    }
+    
+    // Refresh the character count
+    if (messageField) {
+      messageField.element.dispatchEvent(new Event('input'));
+    }
+  }
+  
   setSubmitButtonState(isLoading) {
     if (!this.submitButton) return;
     
@@ -368,9 +1344,18 @@ class ContactForm {
     }
   }
   
-  showStatus(type, message) {
+  /**
+   * Show a status message below the form
+   * @param {string} type - 'success', 'error', 'loading', 'queued' or 'info'
+   * @param {string} message - Message text
+   * @param {Object} [action] - Optional button shown after the message, as {label, onClick}
+   */
+  showStatus(type, message, action = null) {
     if (!this.statusElement) return;
     
+    // A newer message shouldn't be hidden by an older one's timer
+    clearTimeout(this.statusTimer);
+    
     // Clear existing classes
     this.statusElement.className = 'form-status';
     
@@ -379,9 +1364,18 @@ class ContactForm {
     this.statusElement.textContent = message;
     this.statusElement.style.display = 'block';
     
+    if (action) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'form-status__action';
+      button.textContent = action.label;
+      button.addEventListener('click', action.onClick);
+      this.statusElement.append(' ', button);
+    }
+    
     // Auto-hide success messages
     if (type === 'success') {
-      setTimeout(() => {
+      this.statusTimer = setTimeout(() => {
         this.statusElement.style.display = 'none';
       }, 10000);
     }
@@ -396,6 +1390,16 @@ class ContactForm {
   resetForm() {
     this.form.reset();
     
+    this.references = [];
+    this.renderReferences();
+    this.clearAttachments();
+    
+    clearDraft();
+    this.hideDraftBanner();
+    
+    if (this.wizard) this.wizard.reset();
+    this.updateEstimate();
+    
     // Reset field states
     Object.keys(this.fields).forEach(fieldName => {
       const field = this.fields[fieldName];
@@ -427,13 +1431,35 @@ class ContactForm {
     }
   }
   
-  focusFirstError() {
-    const firstErrorField = Object.keys(this.fields).find(fieldName => {
-      return !this.fields[fieldName].isValid && this.validators[fieldName]?.required;
+  announce(message) {
+    const announcement = document.createElement('div');
+    announcement.setAttribute('aria-live', 'polite');
+    announcement.setAttribute('aria-atomic', 'true');
+    announcement.className = 'sr-only';
+    announcement.textContent = message;
+    
+    document.body.appendChild(announcement);
+    
+    setTimeout(() => {
+      if (document.body.contains(announcement)) {
+        document.body.removeChild(announcement);
+      }
+    }, 1000);
+  }
+  
+  focusFirstError(fieldNames = Object.keys(this.fields)) {
+    const firstErrorField = fieldNames.find(fieldName => {
+      const field = this.fields[fieldName];
+      if (!field || (this.wizard && !this.wizard.isFieldActive(fieldName))) return false;
+      
+      return !field.isValid && this.validators[fieldName];
     });
     
     if (firstErrorField) {
       const field = this.fields[firstErrorField];
+      
+      // The error may be on an earlier step
+      if (this.wizard) this.wizard.revealElement(field.element);
       field.element.focus();
     }
   }
@@ -447,6 +1473,10 @@ class ContactForm {
     return this.validateForm();
   }
   
+  getReferences() {
+    return this.references.map(reference => ({ ...reference }));
+  }
+  
   getFieldValue(fieldName) {
     return this.fields[fieldName]?.value || '';
   }
@@ -454,10 +1484,55 @@ class ContactForm {
   setFieldValue(fieldName, value) {
     const field = this.fields[fieldName];
     if (field) {
-      field.element.value = value;
+      this.setInputValue(field, value);
       field.value = value;
       field.touched = true;
       this.validateField(fieldName);
+      
+      if (this.wizard) this.wizard.refresh();
+      this.updateEstimate();
+    }
+  }
+  
+  /**
+   * Current values of every field, including ones not yet validated
+   * @returns {Object} Values by field name
+   */
+  getFieldValues() {
+    const values = {};
+    Object.keys(this.fields).forEach(fieldName => {
+      values[fieldName] = this.getInputValue(this.fields[fieldName]);
+    });
+    return values;
+  }
+  
+  // Values of fields in wizard steps that currently apply
+  getActiveFieldValues() {
+    const values = this.getFieldValues();
+    if (!this.wizard) return values;
+    
+    Object.keys(values).forEach(fieldName => {
+      if (!this.wizard.isFieldActive(fieldName)) delete values[fieldName];
+    });
+    return values;
+  }
+  
+  // A checkbox group's value is its checked values, comma-separated
+  getInputValue(field) {
+    if (field.elements) {
+      return field.elements.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value).join(',');
+    }
+    return field.element.value;
+  }
+  
+  setInputValue(field, value) {
+    if (field.elements) {
+      const checkedValues = value.split(',');
+      field.elements.forEach(checkbox => {
+        checkbox.checked = checkedValues.includes(checkbox.value);
+      });
+    } else {
+      field.element.value = value;
     }
   }
   
@@ -1,101 +1,100 @@
 // Gallery Component - gallery.js
 // Handles gallery functionality including filtering, lightbox, and image loading
 
-import { debounce, lazyLoadImages, generateId, trapFocus } from './utils.js';
+import { debounce, createLazyImageObserver, generateId, trapFocus } from './utils.js';
+import { loadCatalog, loadCollections } from './catalog.js';
+import { SearchIndex, tokenize, highlightMatches } from './search.js';
+import {
+  FACET_FIELDS,
+  createEmptyFilters,
+  normalizeFacetValues,
+  matchesFilters,
+  countFacetOptions,
+  hasActiveFilters
+} from './facets.js';
+import { DEFAULT_SORT, SORT_MODES, isSortMode, sortArtwork } from './sorting.js';
+import { VirtualGrid } from './virtual-grid.js';
+import { getShortlist, isShortlisted, toggleShortlist, addToShortlist } from './shortlist.js';
+import {
+  LAYOUT_MODES,
+  DEFAULT_LAYOUT,
+  getAspectRatio,
+  computeMasonryLayout,
+  computeJustifiedLayout,
+  findVerticalNeighbor
+} from './layouts.js';
 
-// Sample artwork data - in a real application, this would come from an API
-const artworkData = [
-  {
-    id: 'artwork-001',
-    title: 'Mystical Forest',
-    category: 'illustration',
-    collection: 'fantasy-series',
-    thumbnail: 'https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=400&h=300&fit=crop&crop=center',
-    fullSize: 'https://images.unsplash.com/photo-1441974231531-c6227db76b6e?w=1200&h=900&fit=crop&crop=center',
-    alt: 'Digital illustration of mystical forest scene with ethereal lighting',
-    dimensions: '3000x4000',
-    year: 2024,
-    medium: 'Digital Painting',
-    description: 'An atmospheric forest scene with magical elements and mystical creatures hidden among ancient trees.'
-  },
-  {
-    id: 'artwork-002',
-    title: 'Cyberpunk City',
-    category: 'concept-art',
-    collection: 'sci-fi-series',
-    thumbnail: 'https://images.unsplash.com/photo-1518709268805-4e9042af2176?w=400&h=300&fit=crop&crop=center',
-    fullSize: 'https://images.unsplash.com/photo-1518709268805-4e9042af2176?w=1200&h=900&fit=crop&crop=center',
-    alt: 'Futuristic cyberpunk cityscape with neon lights and flying vehicles',
-    dimensions: '4000x3000',
-    year: 2024,
-    medium: 'Digital Painting',
-    description: 'A bustling cyberpunk metropolis featuring towering skyscrapers, neon advertisements, and advanced technology.'
-  },
-  {
-    id: 'artwork-003',
-    title: 'Dragon Warrior',
-    category: 'character-design',
-    collection: 'fantasy-series',
-    thumbnail: 'https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=400&h=300&fit=crop&crop=center',
-    fullSize: 'https://images.unsplash.com/photo-1578662996442-48f60103fc96?w=1200&h=900&fit=crop&crop=center',
-    alt: 'Detailed character design of a powerful dragon warrior in ornate armor',
-    dimensions: '2400x3600',
-    year: 2024,
-    medium: 'Digital Painting',
-    description: 'A fierce dragon warrior character design featuring intricate armor and mystical weaponry.'
-  },
-  {
-    id: 'artwork-004',
-    title: 'Enchanted Castle',
-    category: 'environment',
-    collection: 'fantasy-series',
-    thumbnail: 'https://images.unsplash.com/photo-1520637836862-4d197d17c86a?w=400&h=300&fit=crop&crop=center',
-    fullSize: 'https://images.unsplash.com/photo-1520637836862-4d197d17c86a?w=1200&h=900&fit=crop&crop=center',
-    alt: 'Majestic enchanted castle perched on a floating island',
-    dimensions: '5000x3000',
-    year: 2023,
-    medium: 'Digital Painting',
-    description: 'A magical castle floating among the clouds, surrounded by mystical energy and ancient magic.'
-  },
-  {
-    id: 'artwork-005',
-    title: 'Steampunk Inventor',
-    category: 'character-design',
-    collection: 'steampunk-series',
-    thumbnail: 'https://images.unsplash.com/photo-1551550029-12c7dd043ba8?w=400&h=300&fit=crop&crop=center',
-    fullSize: 'https://images.unsplash.com/photo-1551550029-12c7dd043ba8?w=1200&h=900&fit=crop&crop=center',
-    alt: 'Steampunk inventor character with mechanical gadgets and brass accessories',
-    dimensions: '2800x3500',
-    year: 2023,
-    medium: 'Digital Painting',
-    description: 'A brilliant steampunk inventor surrounded by mechanical contraptions and brass instruments.'
-  },
-  {
-    id: 'artwork-006',
-    title: 'Cosmic Nebula',
-    category: 'illustration',
-    collection: 'space-series',
-    thumbnail: 'https://images.unsplash.com/photo-1446776877081-d282a0f896e2?w=400&h=300&fit=crop&crop=center',
-    fullSize: 'https://images.unsplash.com/photo-1446776877081-d282a0f896e2?w=1200&h=900&fit=crop&crop=center',
-    alt: 'Vibrant cosmic nebula with swirling gases and distant stars',
-    dimensions: '4500x3000',
-    year: 2023,
-    medium: 'Digital Painting',
-    description: 'A stunning cosmic vista featuring a colorful nebula with swirling gases and celestial phenomena.'
-  }
+const DEFAULT_ITEMS_PER_PAGE = 6;
+
+// From this many shown items, only rows near the viewport are kept in the DOM
+const VIRTUALIZE_THRESHOLD = 60;
+
+// Match the grid's minmax() column width and the card image height
+const MASONRY_MIN_COLUMN_WIDTH = 300;
+const JUSTIFIED_ROW_HEIGHT = 250;
+
+// Pieces that fit side by side in the compare view
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 4;
+
+// Facets shown as checkbox groups; category uses the tablist
+const PANEL_FACETS = [
+  { facet: 'year', label: 'Year' },
+  { facet: 'medium', label: 'Medium' },
+  { facet: 'collection', label: 'Collection' }
 ];
 
 class Gallery {
-  constructor() {
+  /**
+   * @param {Object} options - Overrides for the data- attributes on #gallery-grid
+   * @param {number} options.itemsPerPage - Items added per page (data-items-per-page)
+   * @param {string} options.paging - 'button' or 'infinite' (data-paging)
+   * @param {string} options.layout - 'grid', 'masonry' or 'justified' (data-layout)
+   */
+  constructor(options = {}) {
     this.galleryGrid = document.querySelector('#gallery-grid');
-    this.filterButtons = document.querySelectorAll('.filter-btn');
+    this.filterTablist = document.querySelector('.gallery__filters');
+    this.facetPanel = document.querySelector('#gallery-facets');
+    this.activeFiltersContainer = document.querySelector('.gallery__active-filters');
     this.loadMoreBtn = document.querySelector('#load-more-btn');
-    this.currentFilter = 'all';
-    this.itemsPerPage = 6;
+    this.searchInput = document.querySelector('#gallery-search');
+    this.sortSelect = document.querySelector('#gallery-sort');
+    this.shortlistToggle = document.querySelector('#gallery-shortlist-toggle');
+    this.shortlistCount = document.querySelector('#gallery-shortlist-count');
+    this.compareToggle = document.querySelector('#gallery-compare-toggle');
+    this.compareBar = document.querySelector('#gallery-compare-bar');
+    this.compareCount = document.querySelector('#gallery-compare-count');
+    this.compareOpenBtn = document.querySelector('#gallery-compare-open');
+    this.compareClearBtn = document.querySelector('#gallery-compare-clear');
+    this.filters = createEmptyFilters();
+    this.sortMode = DEFAULT_SORT;
+    this.isShortlistOnly = false;
+    this.pendingShortlistImport = null;
+    this.searchQuery = '';
+    this.searchMatches = null;
+    this.searchIndex = new SearchIndex();
+    
+    const gridConfig = this.galleryGrid ? this.galleryGrid.dataset : {};
+    const itemsPerPage = parseInt(options.itemsPerPage ?? gridConfig.itemsPerPage, 10);
+    this.itemsPerPage = itemsPerPage > 0 ? itemsPerPage : DEFAULT_ITEMS_PER_PAGE;
+    this.pagingMode = (options.paging ?? gridConfig.paging) === 'infinite' ? 'infinite' : 'button';
+    this.layoutMode = DEFAULT_LAYOUT;
+    this.requestedLayout = options.layout ?? gridConfig.layout;
+    this.cardPositions = null;
+    this.isInfiniteScroll = false;
+    this.scrollSentinel = null;
+    this.scrollObserver = null;
+    this.imageObserver = null;
+    this.virtualGrid = null;
     this.currentPage = 1;
     this.maxPages = 1;
-    this.artwork = artworkData;
+    this.artwork = [];
+    this.collections = [];
     this.filteredArtwork = [];
+    this.isLoaded = false;
+    this.isSelecting = false;
+    // Insertion order is the order pieces appear in the compare view
+    this.compareSelection = new Set();
     
     this.init();
   }
@@ -103,29 +102,124 @@ class Gallery {
   init() {
     if (!this.galleryGrid) return;
     
-    this.setupEventListeners();
-    this.filterArtwork('all');
     this.setupIntersectionObserver();
+    this.setupVirtualGrid();
+    this.setLayout(this.requestedLayout);
+    this.setupEventListeners();
+    this.setupInfiniteScroll();
+    this.updateShortlistToggle();
+    this.loadArtwork();
+  }
+  
+  async loadArtwork({ reload = false } = {}) {
+    this.renderStatus('loading', 'Loading artwork...');
+    
+    try {
+      const [catalog, collections] = await Promise.all([
+        loadCatalog(undefined, { reload }),
+        // Collection titles are only used for labels, so a failure here isn't fatal
+        loadCollections(undefined, { reload }).catch(() => [])
+      ]);
+      
+      // Copy so addArtwork() doesn't mutate the shared catalog
+      this.artwork = [...catalog.artworks];
+      this.collections = collections;
+      this.searchIndex.build(this.artwork);
+      this.searchMatches = this.searchIndex.search(this.searchQuery);
+      this.isLoaded = true;
+      
+      if (this.pendingShortlistImport) {
+        this.importShortlist(this.pendingShortlistImport);
+      }
+      
+      this.filterArtwork();
+    } catch (error) {
+      console.error('Gallery catalog error:', error);
+      this.renderStatus('error', 'Sorry, the gallery could not be loaded right now.');
+    }
   }
   
   setupEventListeners() {
-    // Filter button events
-    this.filterButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        const filter = e.target.dataset.filter;
-        this.handleFilterChange(filter, e.target);
+    // Filter tab events (delegated, since tabs are regenerated from the catalog)
+    if (this.filterTablist) {
+      this.filterTablist.addEventListener('click', (e) => {
+        const button = e.target.closest('.filter-btn');
+        if (button) this.handleFilterChange(button.dataset.filter);
       });
       
       // Keyboard support for filter buttons
-      button.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
+      this.filterTablist.addEventListener('keydown', (e) => {
+        const button = e.target.closest('.filter-btn');
+        if (button && (e.key === 'Enter' || e.key === ' ')) {
           e.preventDefault();
-          const filter = e.target.dataset.filter;
-          this.handleFilterChange(filter, e.target);
+          this.handleFilterChange(button.dataset.filter);
         }
       });
+    }
+    
+    // Facet checkbox events
+    if (this.facetPanel) {
+      this.facetPanel.addEventListener('change', (e) => {
+        const input = e.target.closest('.facet-option__input');
+        if (input) this.toggleFacetOption(input.name, input.value, input.checked);
+      });
+    }
+    
+    // Filter requests from other components, e.g. collection cards
+    document.addEventListener('filterGallery', (e) => {
+      const { filter, collection, year, medium, page, sort, shortlist, importShortlist } = e.detail || {};
+      this.applyFilters({ category: filter, collection, year, medium, page, sort, shortlist, importShortlist });
     });
     
+    // Sort control
+    if (this.sortSelect) {
+      this.sortSelect.addEventListener('change', (e) => {
+        this.applySort(e.target.value);
+      });
+    }
+    
+    // Search box
+    if (this.searchInput) {
+      const debouncedSearch = debounce((query) => this.handleSearch(query), 250);
+      
+      this.searchInput.addEventListener('input', (e) => {
+        debouncedSearch(e.target.value);
+      });
+      
+      this.searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && this.searchInput.value) {
+          e.preventDefault();
+          this.searchInput.value = '';
+          this.handleSearch('');
+        }
+      });
+    }
+    
+    // Shortlist filter
+    if (this.shortlistToggle) {
+      this.shortlistToggle.addEventListener('click', () => {
+        this.setShortlistOnly(!this.isShortlistOnly);
+      });
+    }
+    
+    // Hearts here, in the lightbox or in another tab
+    document.addEventListener('shortlistChange', () => this.handleShortlistChange());
+    
+    // Compare mode controls
+    if (this.compareToggle) {
+      this.compareToggle.addEventListener('click', () => {
+        this.setSelecting(!this.isSelecting);
+      });
+    }
+    
+    if (this.compareOpenBtn) {
+      this.compareOpenBtn.addEventListener('click', () => this.openCompare());
+    }
+    
+    if (this.compareClearBtn) {
+      this.compareClearBtn.addEventListener('click', () => this.clearCompareSelection());
+    }
+    
     // Load more button event
     if (this.loadMoreBtn) {
       this.loadMoreBtn.addEventListener('click', () => {
@@ -137,49 +231,441 @@ class Gallery {
     this.galleryGrid.addEventListener('keydown', (e) => {
       this.handleKeyboardNavigation(e);
     });
+    
+    // Masonry and justified positions depend on the grid width
+    const debouncedLayout = debounce(() => this.applyLayout(), 150);
+    window.addEventListener('resize', debouncedLayout);
   }
   
   setupIntersectionObserver() {
-    // Lazy load images as they come into view
-    lazyLoadImages('.artwork-card__image[data-src]', {
+    // One observer for the gallery's lifetime; cards register their images as they render
+    this.imageObserver = createLazyImageObserver({
       rootMargin: '100px 0px',
       threshold: 0.1
     });
   }
   
-  handleFilterChange(filter, button) {
-    // Update active filter button
-    this.filterButtons.forEach(btn => {
-      btn.classList.remove('filter-btn--active');
-      btn.setAttribute('aria-selected', 'false');
+  setupVirtualGrid() {
+    this.virtualGrid = new VirtualGrid(this.galleryGrid, {
+      renderItem: (artwork) => this.createArtworkCard(artwork),
+      getKey: (artwork) => artwork.id,
+      getColumns: () => this.getGridColumns(),
+      onRender: (cards) => {
+        // Newly visible rows fade in one after another
+        const cols = this.getGridColumns();
+        cards.forEach((card, index) => {
+          setTimeout(() => {
+            card.classList.add('fade-in');
+          }, Math.floor(index / cols) * 100);
+        });
+        
+        this.observeCardImages(cards);
+        this.updateScrollSentinel();
+      },
+      onRelease: (card) => {
+        const image = card.querySelector('.artwork-card__image');
+        if (image) this.imageObserver.unobserve(image);
+      }
+    });
+  }
+  
+  observeCardImages(cards) {
+    cards.forEach(card => {
+      const image = card.querySelector('.artwork-card__image[data-src]');
+      if (image) this.imageObserver.observe(image);
+    });
+  }
+  
+  setupInfiniteScroll() {
+    if (this.pagingMode !== 'infinite' || !('IntersectionObserver' in window)) return;
+    
+    // Content appearing on its own moves the page, so keep the button for reduced motion
+    const motionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+    if (motionQuery.matches) return;
+    
+    motionQuery.addEventListener('change', (e) => {
+      if (e.matches) this.disableInfiniteScroll();
     });
     
-    button.classList.add('filter-btn--active');
-    button.setAttribute('aria-selected', 'true');
+    this.scrollSentinel = document.createElement('div');
+    this.scrollSentinel.className = 'gallery__sentinel';
+    this.scrollSentinel.setAttribute('aria-hidden', 'true');
     
-    // Filter and display artwork
-    this.currentFilter = filter;
-    this.currentPage = 1;
-    this.filterArtwork(filter);
+    this.scrollObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.loadNextPageOnScroll();
+      }
+    }, {
+      rootMargin: '0px 0px 300px 0px'
+    });
+    
+    this.isInfiniteScroll = true;
+  }
+  
+  loadNextPageOnScroll() {
+    const previousCount = Math.min(this.currentPage * this.itemsPerPage, this.filteredArtwork.length);
+    
+    try {
+      this.loadMoreArtwork();
+    } catch (error) {
+      console.error('Gallery infinite scroll error:', error);
+      this.disableInfiniteScroll();
+      this.announce('More artwork couldn\'t load automatically. Use the Load More button instead.');
+      return;
+    }
+    
+    const shownCount = Math.min(this.currentPage * this.itemsPerPage, this.filteredArtwork.length);
+    const addedCount = shownCount - previousCount;
+    
+    // Nothing left to add: stop watching until the next render puts the sentinel back
+    if (!addedCount) {
+      this.scrollObserver.unobserve(this.scrollSentinel);
+      return;
+    }
+    
+    this.announce(`Loaded ${addedCount} more ${addedCount === 1 ? 'item' : 'items'}. Showing ${shownCount} of ${this.filteredArtwork.length}`);
+  }
+  
+  // Falls back to the Load More button
+  disableInfiniteScroll() {
+    if (!this.isInfiniteScroll) return;
+    
+    this.isInfiniteScroll = false;
+    this.scrollObserver.disconnect();
+    this.scrollSentinel.remove();
+    this.updateLoadMoreButton();
+  }
+  
+  updateScrollSentinel() {
+    if (!this.isInfiniteScroll) return;
+    
+    this.scrollObserver.unobserve(this.scrollSentinel);
+    
+    // A windowed grid only needs the sentinel once its last row is rendered
+    if (this.currentPage >= this.maxPages || (this.virtualGrid.isActive && !this.virtualGrid.isAtEnd())) {
+      this.scrollSentinel.remove();
+      return;
+    }
+    
+    // Observing again re-checks the sentinel, so short pages keep loading until it is off screen
+    this.galleryGrid.appendChild(this.scrollSentinel);
+    this.scrollObserver.observe(this.scrollSentinel);
+  }
+  
+  handleFilterChange(filter) {
+    this.applyFilters({ category: filter });
+  }
+  
+  toggleFacetOption(facet, value, isSelected) {
+    const values = this.filters[facet].filter(item => item !== value);
+    if (isSelected) values.push(value);
+    
+    this.applyFilters({ [facet]: values });
+  }
+  
+  /**
+   * Update the facet selection and re-render
+   * Each facet accepts a value or list of values; pass undefined to keep a facet
+   * as-is, or null/'all' to clear it.
+   * @param {Object} filters - Filters to apply
+   * @param {string|string[]|null} [filters.category] - Category ids
+   * @param {string|string[]|null} [filters.collection] - Collection ids
+   * @param {string|string[]|null} [filters.year] - Years
+   * @param {string|string[]|null} [filters.medium] - Mediums
+   * @param {number} [filters.page] - Number of pages to show (defaults to 1)
+   * @param {string} [filters.sort] - Sort mode id (see sorting.js)
+   * @param {string[]|null} [filters.shortlist] - Show only the shortlist; null shows everything again
+   * @param {boolean} [filters.importShortlist] - Also merge the shortlist ids into the visitor's
+   *   own, e.g. when a shared link is first opened (never for history restores)
+   */
+  applyFilters({ page, sort, shortlist, importShortlist = false, ...selection } = {}) {
+    FACET_FIELDS.forEach(facet => {
+      const values = normalizeFacetValues(selection[facet]);
+      if (values) this.filters[facet] = values;
+    });
+    
+    if (shortlist !== undefined) {
+      this.isShortlistOnly = Array.isArray(shortlist);
+      if (this.isShortlistOnly && importShortlist) this.importShortlist(shortlist);
+      this.updateShortlistToggle();
+    }
+    
+    if (sort !== undefined) {
+      this.setSortMode(sort);
+    }
+    
+    this.currentPage = page > 1 ? page : 1;
+    
+    // The catalog triggers its own render once it arrives
+    if (!this.isLoaded) return;
+    
+    this.filterArtwork();
     
     // Announce filter change for screen readers
-    this.announceFilterChange(filter);
+    this.announceFilterChange();
   }
   
-  filterArtwork(category) {
-    // Filter artwork based on category
-    if (category === 'all') {
-      this.filteredArtwork = [...this.artwork];
-    } else {
-      this.filteredArtwork = this.artwork.filter(item => item.category === category);
+  applySort(mode) {
+    this.setSortMode(mode);
+    
+    if (!this.isLoaded) return;
+    
+    // Keep the pages already shown; only the order changes
+    this.filterArtwork();
+    this.announce(`Sorted by ${SORT_MODES[this.sortMode].label.toLowerCase()}`);
+  }
+  
+  setSortMode(mode) {
+    this.sortMode = isSortMode(mode) ? mode : DEFAULT_SORT;
+    
+    if (this.sortSelect) {
+      this.sortSelect.value = this.sortMode;
+    }
+  }
+  
+  renderFilterControls(searchResults) {
+    const counts = countFacetOptions(searchResults, this.filters);
+    
+    this.renderFilterTabs(counts.category, searchResults);
+    this.renderFacetPanel(counts);
+    this.renderActiveFilters();
+  }
+  
+  renderFilterTabs(categoryCounts, searchResults) {
+    if (!this.filterTablist) return;
+    
+    const categories = Array.from(categoryCounts.keys());
+    const tabs = ['all', ...categories];
+    const existingButtons = Array.from(this.filterTablist.querySelectorAll('.filter-btn'));
+    
+    // Rebuild only when the set of categories changes, e.g. after addArtwork()
+    if (existingButtons.map(btn => btn.dataset.filter).join('|') !== tabs.join('|')) {
+      const labels = new Map(existingButtons.map(btn => [
+        btn.dataset.filter,
+        (btn.querySelector('.filter-btn__label') || btn).textContent.trim()
+      ]));
+      
+      this.filterTablist.innerHTML = '';
+      tabs.forEach(filter => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'filter-btn';
+        button.dataset.filter = filter;
+        button.setAttribute('role', 'tab');
+        button.setAttribute('aria-controls', 'gallery-grid');
+        button.innerHTML = `<span class="filter-btn__label"></span> <span class="filter-btn__count"></span>`;
+        button.querySelector('.filter-btn__label').textContent =
+          labels.get(filter) || (filter === 'all' ? 'All' : this.formatCategory(filter));
+        this.filterTablist.appendChild(button);
+      });
+    }
+    
+    const allCount = searchResults.filter(item => matchesFilters(item, this.filters, 'category')).length;
+    
+    this.filterTablist.querySelectorAll('.filter-btn').forEach(button => {
+      const filter = button.dataset.filter;
+      const isActive = filter === 'all'
+        ? !this.filters.category.length
+        : this.filters.category.includes(filter);
+        
+      // Static markup from index.html has no label/count spans yet
+      if (!button.querySelector('.filter-btn__count')) {
+        const label = button.textContent.trim();
+        button.innerHTML = `<span class="filter-btn__label"></span> <span class="filter-btn__count"></span>`;
+        button.querySelector('.filter-btn__label').textContent = label;
+      }
+      
+      button.querySelector('.filter-btn__count').textContent =
+        filter === 'all' ? allCount : categoryCounts.get(filter) || 0;
+      button.classList.toggle('filter-btn--active', isActive);
+      button.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+    
+    const collectionTitles = this.filters.collection.map(id => this.getCollectionTitle(id));
+    this.filterTablist.setAttribute('aria-label', collectionTitles.length
+      ? `Filter ${collectionTitles.join(' and ')} artwork by category`
+      : 'Filter artwork by category'
+    );
+  }
+  
+  renderFacetPanel(counts) {
+    if (!this.facetPanel) return;
+    
+    let visibleGroups = 0;
+    
+    PANEL_FACETS.forEach(({ facet, label }) => {
+      const options = this.sortFacetOptions(facet, Array.from(counts[facet].keys()));
+      let group = this.facetPanel.querySelector(`.facet-group[data-facet="${facet}"]`);
+      
+      // Rebuild a group only when its options change, so focus survives re-renders
+      if (!group || group.dataset.options !== options.join('|')) {
+        const newGroup = this.createFacetGroup(facet, label, options);
+        if (group) {
+          group.replaceWith(newGroup);
+        } else {
+          this.facetPanel.appendChild(newGroup);
+        }
+        group = newGroup;
+      }
+      
+      group.querySelectorAll('.facet-option__input').forEach(input => {
+        const count = counts[facet].get(input.value) || 0;
+        input.checked = this.filters[facet].includes(input.value);
+        input.disabled = count === 0 && !input.checked;
+        input.closest('.facet-option').querySelector('.facet-option__count').textContent = `(${count})`;
+      });
+      
+      // A facet with a single option can't narrow anything down
+      group.hidden = options.length < 2 && !this.filters[facet].length;
+      if (!group.hidden) visibleGroups++;
+    });
+    
+    this.facetPanel.hidden = visibleGroups === 0;
+  }
+  
+  createFacetGroup(facet, label, options) {
+    const group = document.createElement('fieldset');
+    group.className = 'facet-group';
+    group.dataset.facet = facet;
+    group.dataset.options = options.join('|');
+    
+    const legend = document.createElement('legend');
+    legend.className = 'facet-group__title';
+    legend.textContent = label;
+    group.appendChild(legend);
+    
+    options.forEach(value => {
+      const option = document.createElement('label');
+      option.className = 'facet-option';
+      option.innerHTML = `
+        <input type="checkbox" class="facet-option__input" aria-controls="gallery-grid">
+        <span class="facet-option__label"></span>
+        <span class="facet-option__count"></span>
+      `;
+      
+      const input = option.querySelector('.facet-option__input');
+      input.name = facet;
+      input.value = value;
+      option.querySelector('.facet-option__label').textContent = this.formatFacetValue(facet, value);
+      group.appendChild(option);
+    });
+    
+    return group;
+  }
+  
+  sortFacetOptions(facet, options) {
+    switch (facet) {
+      case 'year':
+        return [...options].sort((a, b) => b - a);
+      case 'medium':
+        return [...options].sort((a, b) => a.localeCompare(b));
+      case 'collection': {
+        // Match the order of the collections section
+        const order = this.collections.map(collection => collection.id);
+        const rank = id => (order.includes(id) ? order.indexOf(id) : order.length);
+        return [...options].sort((a, b) => rank(a) - rank(b));
+      }
+      default:
+        return options;
+    }
+  }
+  
+  formatFacetValue(facet, value) {
+    switch (facet) {
+      case 'category':
+        return this.formatCategory(value);
+      case 'collection':
+        return this.getCollectionTitle(value);
+      default:
+        return value;
+    }
+  }
+  
+  renderActiveFilters() {
+    if (!this.activeFiltersContainer) return;
+    
+    this.activeFiltersContainer.innerHTML = '';
+    
+    const chips = PANEL_FACETS.flatMap(({ facet, label }) =>
+      this.filters[facet].map(value => ({ facet, label, value }))
+    );
+    
+    if (!chips.length) {
+      this.activeFiltersContainer.hidden = true;
+      return;
     }
     
-    // Calculate pagination
+    chips.forEach(({ facet, label, value }, index) => {
+      const text = `${label}: ${this.formatFacetValue(facet, value)}`;
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.setAttribute('aria-label', `Remove ${label.toLowerCase()} filter: ${this.formatFacetValue(facet, value)}`);
+      chip.innerHTML = `
+        <span class="filter-chip__label"></span>
+        <i class="fas fa-times filter-chip__icon" aria-hidden="true"></i>
+      `;
+      chip.querySelector('.filter-chip__label').textContent = text;
+      
+      chip.addEventListener('click', () => {
+        this.toggleFacetOption(facet, value, false);
+        
+        // Keep focus in the filter area once the chip is gone
+        const remainingChips = this.activeFiltersContainer.querySelectorAll('.filter-chip');
+        const nextFocus = remainingChips[Math.min(index, remainingChips.length - 1)]
+          || this.filterTablist?.querySelector('.filter-btn--active');
+        if (nextFocus) nextFocus.focus();
+      });
+      
+      this.activeFiltersContainer.appendChild(chip);
+    });
+    
+    this.activeFiltersContainer.hidden = false;
+  }
+  
+  getCollectionTitle(collectionId) {
+    if (!collectionId) return '';
+    
+    const collection = this.collections.find(item => item.id === collectionId);
+    return collection ? collection.title : this.formatCategory(collectionId);
+  }
+  
+  handleSearch(query) {
+    const trimmedQuery = query.trim();
+    if (trimmedQuery === this.searchQuery) return;
+    
+    this.searchQuery = trimmedQuery;
+    this.searchMatches = this.searchIndex.search(trimmedQuery);
+    this.currentPage = 1;
+    
+    if (!this.isLoaded) return;
+    
+    this.filterArtwork();
+    this.announceSearchResults();
+  }
+  
+  filterArtwork() {
+    // Search and the shortlist narrow the pool; facets then combine with AND
+    const shortlist = this.isShortlistOnly ? new Set(getShortlist()) : null;
+    const searchResults = this.artwork.filter(item =>
+      (!this.searchMatches || this.searchMatches.has(item.id)) &&
+      (!shortlist || shortlist.has(item.id))
+    );
+    // Sort before pagination so every page follows the chosen order
+    this.filteredArtwork = sortArtwork(
+      searchResults.filter(item => matchesFilters(item, this.filters)),
+      this.sortMode
+    );
+    this.renderFilterControls(searchResults);
+    
+    // Calculate pagination, keeping a restored page within range
     this.maxPages = Math.ceil(this.filteredArtwork.length / this.itemsPerPage);
+    this.currentPage = Math.min(this.currentPage, Math.max(this.maxPages, 1));
     
     // Render artwork
     this.renderArtwork(true);
     this.updateLoadMoreButton();
+    this.dispatchStateChange();
   }
   
   loadMoreArtwork() {
@@ -187,41 +673,183 @@ class Gallery {
       this.currentPage++;
       this.renderArtwork(false);
       this.updateLoadMoreButton();
+      this.dispatchStateChange();
     }
   }
   
+  dispatchStateChange() {
+    // Lets the router mirror the current view in the URL
+    document.dispatchEvent(new CustomEvent('galleryStateChange', {
+      detail: {
+        filters: this.getFilters(),
+        sort: this.sortMode,
+        shortlist: this.isShortlistOnly ? getShortlist() : null,
+        page: this.currentPage,
+        items: this.filteredArtwork
+      }
+    }));
+  }
+  
   renderArtwork(replace = false) {
-    const startIndex = replace ? 0 : (this.currentPage - 1) * this.itemsPerPage;
-    const endIndex = this.currentPage * this.itemsPerPage;
-    const artworkToShow = this.filteredArtwork.slice(startIndex, endIndex);
+    const shownArtwork = this.getShownArtwork();
+    
+    // Remember the focused card so focus survives a full re-render
+    const focusedCard = this.galleryGrid.contains(document.activeElement)
+      ? document.activeElement.closest('.artwork-card')
+      : null;
+    const focusedArtworkId = focusedCard ? focusedCard.dataset.artworkId : null;
     
     if (replace) {
+      this.virtualGrid.destroy();
       this.galleryGrid.innerHTML = '';
+      this.galleryGrid.removeAttribute('aria-busy');
+      
+      if (!this.filteredArtwork.length) {
+        let emptyMessage = 'No artwork to show here yet.';
+        if (this.isShortlistOnly && !getShortlist().length) {
+          emptyMessage = 'Your shortlist is empty. Use the heart on any piece to add it.';
+        } else if (this.searchQuery) {
+          emptyMessage = `No artwork matches "${this.searchQuery}".`;
+        } else if (hasActiveFilters(this.filters)) {
+          emptyMessage = 'No artwork matches these filters.';
+        }
+        this.renderStatus('empty', emptyMessage);
+        return;
+      }
+    }
+    
+    // Windowing assumes uniform rows, so it only applies to the plain grid
+    if (this.layoutMode === DEFAULT_LAYOUT && shownArtwork.length >= VIRTUALIZE_THRESHOLD) {
+      // Windowed; cards are created as their rows scroll into view
+      this.virtualGrid.setItems(shownArtwork);
+    } else {
+      const startIndex = replace ? 0 : (this.currentPage - 1) * this.itemsPerPage;
+      const cards = shownArtwork.slice(startIndex).map(artwork => this.createArtworkCard(artwork));
+      
+      cards.forEach((artworkCard, index) => {
+        this.galleryGrid.appendChild(artworkCard);
+        
+        // Stagger animation for visual appeal
+        setTimeout(() => {
+          artworkCard.classList.add('fade-in');
+        }, index * 100);
+      });
+      
+      // Lazy load images for the new cards
+      this.observeCardImages(cards);
+      this.applyLayout();
+      this.updateScrollSentinel();
+    }
+    
+    if (focusedArtworkId) {
+      this.focusArtworkAt(shownArtwork.findIndex(artwork => artwork.id === focusedArtworkId));
+    }
+  }
+  
+  applyLayout() {
+    const cards = Array.from(this.galleryGrid.querySelectorAll('.artwork-card'));
+    
+    if (this.layoutMode === DEFAULT_LAYOUT || !cards.length) {
+      this.cardPositions = null;
+      this.galleryGrid.style.height = '';
+      return;
     }
     
-    artworkToShow.forEach((artwork, index) => {
-      const artworkCard = this.createArtworkCard(artwork);
-      this.galleryGrid.appendChild(artworkCard);
+    const gridStyle = window.getComputedStyle(this.galleryGrid);
+    const gap = parseFloat(gridStyle.columnGap) || 0;
+    const containerWidth = this.galleryGrid.clientWidth;
+    const ratios = cards.map(card => getAspectRatio(this.getArtworkById(card.dataset.artworkId)?.dimensions));
+    
+    const { positions, height } = this.layoutMode === 'masonry'
+      ? computeMasonryLayout(ratios, {
+        containerWidth,
+        columns: Math.max(1, Math.floor((containerWidth + gap) / (MASONRY_MIN_COLUMN_WIDTH + gap))),
+        gap
+      })
+      : computeJustifiedLayout(ratios, {
+        containerWidth,
+        targetRowHeight: JUSTIFIED_ROW_HEIGHT,
+        gap
+      });
       
-      // Stagger animation for visual appeal
-      setTimeout(() => {
-        artworkCard.classList.add('fade-in');
-      }, index * 100);
+    cards.forEach((card, index) => {
+      const { x, y, width, height: cardHeight } = positions[index];
+      card.style.left = `${x}px`;
+      card.style.top = `${y}px`;
+      card.style.width = `${width}px`;
+      card.style.height = `${cardHeight}px`;
     });
     
-    // Re-setup lazy loading for new images
-    this.setupIntersectionObserver();
+    this.cardPositions = positions;
+    this.galleryGrid.style.height = `${height}px`;
+  }
+  
+  // Artwork on the pages loaded so far, rendered or not
+  getShownArtwork() {
+    return this.filteredArtwork.slice(0, this.currentPage * this.itemsPerPage);
+  }
+  
+  focusArtworkAt(index) {
+    const artwork = this.getShownArtwork()[index];
+    if (!artwork) return;
+    
+    // A windowed grid may need to bring the row into the DOM first
+    this.virtualGrid.scrollToIndex(index);
+    
+    const card = this.galleryGrid.querySelector(`.artwork-card[data-artwork-id="${artwork.id}"]`);
+    if (card) card.focus();
+  }
+  
+  renderStatus(type, message) {
+    this.virtualGrid.destroy();
+    this.galleryGrid.innerHTML = '';
+    this.galleryGrid.style.height = '';
+    this.cardPositions = null;
+    this.galleryGrid.setAttribute('aria-busy', type === 'loading' ? 'true' : 'false');
+    
+    const status = document.createElement('div');
+    status.className = `gallery__status gallery__status--${type}`;
+    status.setAttribute('role', type === 'error' ? 'alert' : 'status');
+    
+    const text = document.createElement('p');
+    text.className = 'gallery__status-text';
+    text.textContent = message;
+    status.appendChild(text);
+    
+    if (type === 'error') {
+      const retryBtn = document.createElement('button');
+      retryBtn.type = 'button';
+      retryBtn.className = 'btn btn--secondary gallery__retry';
+      retryBtn.textContent = 'Try Again';
+      retryBtn.addEventListener('click', () => this.loadArtwork({ reload: true }));
+      status.appendChild(retryBtn);
+    }
+    
+    this.galleryGrid.appendChild(status);
+    
+    if (this.loadMoreBtn) {
+      this.loadMoreBtn.style.display = 'none';
+    }
   }
   
   createArtworkCard(artwork) {
+    const queryTokens = tokenize(this.searchQuery);
+    const snippet = this.getSearchSnippet(artwork, queryTokens);
+    
     const card = document.createElement('article');
-    card.className = 'artwork-card';
-    card.setAttribute('role', 'img');
+    card.className = queryTokens.length ? 'artwork-card artwork-card--search-match' : 'artwork-card';
+    card.setAttribute('role', 'group');
     card.setAttribute('aria-labelledby', `artwork-title-${artwork.id}`);
     card.setAttribute('data-artwork-id', artwork.id);
     card.setAttribute('tabindex', '0');
     
     card.innerHTML = `
+      <span class="artwork-card__check" aria-hidden="true">
+        <i class="fas fa-check"></i>
+      </span>
+      <button type="button" class="artwork-card__favorite" aria-pressed="false">
+        <i class="far fa-heart" aria-hidden="true"></i>
+      </button>
       <img 
         class="artwork-card__image" 
         data-src="${artwork.thumbnail}"
@@ -230,28 +858,52 @@ class Gallery {
       />
       <div class="artwork-card__overlay">
         <h3 class="artwork-card__title" id="artwork-title-${artwork.id}">
-          ${artwork.title}
+          ${highlightMatches(artwork.title, queryTokens)}
         </h3>
         <p class="artwork-card__category">${this.formatCategory(artwork.category)}</p>
+        ${snippet ? `<p class="artwork-card__match">${snippet}</p>` : ''}
       </div>
     `;
     
-    // Click event to open lightbox
+    // Click event to open lightbox, or to pick the card while comparing
     card.addEventListener('click', () => {
-      this.openLightbox(artwork.id);
+      this.activateCard(artwork.id);
     });
     
     // Keyboard support
     card.addEventListener('keydown', (e) => {
+      // Leave Enter and Space to the heart button when it has focus
+      if (e.target !== card) return;
+      
       if (e.key === 'Enter' || e.key === ' ') {
         e.preventDefault();
-        this.openLightbox(artwork.id);
+        this.activateCard(artwork.id);
       }
     });
     
+    card.querySelector('.artwork-card__favorite').addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.toggleFavorite(artwork.id);
+    });
+    
+    this.updateCardSelection(card);
+    this.updateCardFavorite(card);
+    
     return card;
   }
   
+  getSearchSnippet(artwork, queryTokens) {
+    if (!queryTokens.length) return '';
+    
+    // First non-title field that explains why this card matched
+    const fields = [artwork.medium, (artwork.tags || []).join(', '), artwork.description];
+    const matchingField = fields.find(text =>
+      tokenize(text).some(token => queryTokens.some(queryToken => token.startsWith(queryToken)))
+    );
+    
+    return matchingField ? highlightMatches(matchingField, queryTokens) : '';
+  }
+  
   formatCategory(category) {
     return category
       .split('-')
@@ -259,6 +911,193 @@ class Gallery {
       .join(' ');
   }
   
+  activateCard(artworkId) {
+    if (this.isSelecting) {
+      this.toggleCompareSelection(artworkId);
+    } else {
+      this.openLightbox(artworkId);
+    }
+  }
+  
+  // While comparing, cards act as checkboxes
+  updateCardSelection(card) {
+    const isSelected = this.compareSelection.has(card.dataset.artworkId);
+    
+    card.classList.toggle('artwork-card--selected', this.isSelecting && isSelected);
+    
+    if (this.isSelecting) {
+      card.setAttribute('role', 'checkbox');
+      card.setAttribute('aria-checked', isSelected ? 'true' : 'false');
+    } else {
+      card.setAttribute('role', 'group');
+      card.removeAttribute('aria-checked');
+    }
+  }
+  
+  updateCardFavorite(card) {
+    const button = card.querySelector('.artwork-card__favorite');
+    const artwork = this.getArtworkById(card.dataset.artworkId);
+    if (!button || !artwork) return;
+    
+    const isFavorite = isShortlisted(artwork.id);
+    button.setAttribute('aria-pressed', isFavorite ? 'true' : 'false');
+    button.setAttribute('aria-label', isFavorite
+      ? `Remove ${artwork.title} from shortlist`
+      : `Add ${artwork.title} to shortlist`);
+    button.querySelector('i').className = `${isFavorite ? 'fas' : 'far'} fa-heart`;
+  }
+  
+  toggleFavorite(artworkId) {
+    const artwork = this.getArtworkById(artworkId);
+    if (!artwork) return;
+    
+    const isFavorite = toggleShortlist(artworkId);
+    this.announce(isFavorite
+      ? `Added ${artwork.title} to your shortlist.`
+      : `Removed ${artwork.title} from your shortlist.`);
+  }
+  
+  handleShortlistChange() {
+    this.galleryGrid.querySelectorAll('.artwork-card').forEach(card => this.updateCardFavorite(card));
+    this.updateShortlistToggle();
+    
+    // The shortlist view drops pieces as soon as they are unhearted
+    if (this.isShortlistOnly && this.isLoaded) {
+      this.filterArtwork();
+    }
+  }
+  
+  /**
+   * Show only shortlisted artwork, or everything again
+   * @param {boolean} isShortlistOnly - Whether to filter by the shortlist
+   */
+  setShortlistOnly(isShortlistOnly) {
+    if (isShortlistOnly === this.isShortlistOnly) return;
+    
+    this.isShortlistOnly = isShortlistOnly;
+    this.currentPage = 1;
+    this.updateShortlistToggle();
+    
+    if (!this.isLoaded) return;
+    
+    this.filterArtwork();
+    
+    const count = this.filteredArtwork.length;
+    this.announce(isShortlistOnly
+      ? `Showing ${count} shortlisted ${count === 1 ? 'item' : 'items'}`
+      : `Showing all ${count} ${count === 1 ? 'item' : 'items'}`);
+  }
+  
+  // Ids from a shared link join the visitor's own shortlist, once the catalog can vouch for them
+  importShortlist(artworkIds) {
+    if (!this.isLoaded) {
+      this.pendingShortlistImport = artworkIds;
+      return;
+    }
+    
+    this.pendingShortlistImport = null;
+    
+    const knownIds = new Set(this.artwork.map(artwork => artwork.id));
+    const added = addToShortlist(artworkIds.filter(id => knownIds.has(id)));
+    if (added) {
+      this.announce(`Added ${added} shared ${added === 1 ? 'piece' : 'pieces'} to your shortlist.`);
+    }
+  }
+  
+  updateShortlistToggle() {
+    if (!this.shortlistToggle) return;
+    
+    const count = getShortlist().length;
+    this.shortlistToggle.setAttribute('aria-pressed', this.isShortlistOnly ? 'true' : 'false');
+    
+    if (this.shortlistCount) {
+      this.shortlistCount.textContent = String(count);
+    }
+  }
+  
+  /**
+   * Turn compare mode on or off; leaving it clears the selection
+   * @param {boolean} isSelecting - Whether cards should select instead of opening the lightbox
+   */
+  setSelecting(isSelecting) {
+    if (isSelecting === this.isSelecting) return;
+    
+    this.isSelecting = isSelecting;
+    if (!isSelecting) this.compareSelection.clear();
+    
+    this.galleryGrid.classList.toggle('gallery__grid--selecting', isSelecting);
+    if (this.compareToggle) {
+      this.compareToggle.setAttribute('aria-pressed', isSelecting ? 'true' : 'false');
+    }
+    
+    this.galleryGrid.querySelectorAll('.artwork-card').forEach(card => this.updateCardSelection(card));
+    this.updateCompareBar();
+    
+    this.announce(isSelecting
+      ? `Compare mode on. Select ${MIN_COMPARE} to ${MAX_COMPARE} pieces to compare.`
+      : 'Compare mode off.');
+  }
+  
+  toggleCompareSelection(artworkId) {
+    const artwork = this.getArtworkById(artworkId);
+    if (!artwork) return;
+    
+    if (this.compareSelection.has(artworkId)) {
+      this.compareSelection.delete(artworkId);
+    } else if (this.compareSelection.size >= MAX_COMPARE) {
+      this.announce(`You can compare up to ${MAX_COMPARE} pieces at once.`);
+      return;
+    } else {
+      this.compareSelection.add(artworkId);
+    }
+    
+    const card = this.galleryGrid.querySelector(`.artwork-card[data-artwork-id="${artworkId}"]`);
+    if (card) this.updateCardSelection(card);
+    this.updateCompareBar();
+    
+    const count = this.compareSelection.size;
+    const action = this.compareSelection.has(artworkId) ? 'Added' : 'Removed';
+    this.announce(`${action} ${artwork.title}. ${count} of ${MAX_COMPARE} selected.`);
+  }
+  
+  clearCompareSelection() {
+    this.compareSelection.clear();
+    this.galleryGrid.querySelectorAll('.artwork-card').forEach(card => this.updateCardSelection(card));
+    this.updateCompareBar();
+    this.announce('Comparison selection cleared.');
+  }
+  
+  updateCompareBar() {
+    if (!this.compareBar) return;
+    
+    const count = this.compareSelection.size;
+    this.compareBar.hidden = !this.isSelecting;
+    
+    if (this.compareCount) {
+      this.compareCount.textContent = `${count} of ${MAX_COMPARE} selected`;
+    }
+    
+    if (this.compareOpenBtn) {
+      this.compareOpenBtn.disabled = count < MIN_COMPARE;
+    }
+    
+    if (this.compareClearBtn) {
+      this.compareClearBtn.disabled = count === 0;
+    }
+  }
+  
+  openCompare() {
+    const artworks = Array.from(this.compareSelection)
+      .map(id => this.getArtworkById(id))
+      .filter(Boolean);
+      
+    if (artworks.length < MIN_COMPARE) return;
+    
+    document.dispatchEvent(new CustomEvent('openCompare', {
+      detail: { artworks }
+    }));
+  }
+  
   openLightbox(artworkId) {
     const artwork = this.artwork.find(item => item.id === artworkId);
     if (!artwork) return;
@@ -278,7 +1117,7 @@ class Gallery {
   updateLoadMoreButton() {
     if (!this.loadMoreBtn) return;
     
-    if (this.currentPage >= this.maxPages) {
+    if (this.isInfiniteScroll || this.currentPage >= this.maxPages) {
       this.loadMoreBtn.style.display = 'none';
     } else {
       this.loadMoreBtn.style.display = 'inline-flex';
@@ -288,8 +1127,13 @@ class Gallery {
   }
   
   handleKeyboardNavigation(e) {
-    const focusableCards = this.galleryGrid.querySelectorAll('.artwork-card[tabindex="0"]');
-    const currentIndex = Array.from(focusableCards).indexOf(document.activeElement);
+    const card = e.target.closest('.artwork-card');
+    if (!card || card !== document.activeElement) return;
+    
+    // Indexes cover every shown item, including rows a windowed grid hasn't rendered
+    const shownArtwork = this.getShownArtwork();
+    const itemCount = shownArtwork.length;
+    const currentIndex = shownArtwork.findIndex(artwork => artwork.id === card.dataset.artworkId);
     
     if (currentIndex === -1) return;
     
@@ -299,25 +1143,33 @@ class Gallery {
     switch (e.key) {
       case 'ArrowLeft':
         e.preventDefault();
-        newIndex = currentIndex > 0 ? currentIndex - 1 : focusableCards.length - 1;
+        newIndex = currentIndex > 0 ? currentIndex - 1 : itemCount - 1;
         break;
         
       case 'ArrowRight':
         e.preventDefault();
-        newIndex = currentIndex < focusableCards.length - 1 ? currentIndex + 1 : 0;
+        newIndex = currentIndex < itemCount - 1 ? currentIndex + 1 : 0;
         break;
         
       case 'ArrowUp':
         e.preventDefault();
+        if (this.cardPositions) {
+          newIndex = this.getVisualNeighbor(currentIndex, -1);
+          break;
+        }
         newIndex = currentIndex - cols;
         if (newIndex < 0) {
-          newIndex = focusableCards.length + newIndex;
+          newIndex = itemCount + newIndex;
         }
         break;
         
       case 'ArrowDown':
         e.preventDefault();
-        newIndex = (currentIndex + cols) % focusableCards.length;
+        if (this.cardPositions) {
+          newIndex = this.getVisualNeighbor(currentIndex, 1);
+          break;
+        }
+        newIndex = (currentIndex + cols) % itemCount;
         break;
         
       case 'Home':
@@ -327,26 +1179,52 @@ class Gallery {
         
       case 'End':
         e.preventDefault();
-        newIndex = focusableCards.length - 1;
+        newIndex = itemCount - 1;
         break;
     }
     
-    if (focusableCards[newIndex]) {
-      focusableCards[newIndex].focus();
+    if (newIndex !== currentIndex) {
+      this.focusArtworkAt(newIndex);
     }
   }
   
+  // Up/Down in masonry and justified layouts; stays put at the top and bottom edges
+  getVisualNeighbor(index, direction) {
+    const neighbor = findVerticalNeighbor(this.cardPositions, index, direction);
+    return neighbor === -1 ? index : neighbor;
+  }
+  
   getGridColumns() {
     const computedStyle = window.getComputedStyle(this.galleryGrid);
     const gridColumns = computedStyle.getPropertyValue('grid-template-columns');
     return gridColumns.split(' ').length;
   }
   
-  announceFilterChange(filter) {
-    const filterText = filter === 'all' ? 'all artwork' : this.formatCategory(filter);
+  announceFilterChange() {
+    const filterText = this.filters.category.length
+      ? this.filters.category.map(category => this.formatCategory(category)).join(' or ')
+      : 'all artwork';
+    const refinements = PANEL_FACETS
+      .filter(({ facet }) => this.filters[facet].length)
+      .map(({ facet }) => this.filters[facet].map(value => this.formatFacetValue(facet, value)).join(' or '));
+    const refinementText = refinements.length ? `, filtered by ${refinements.join(', ')}` : '';
+    const shortlistText = this.isShortlistOnly ? ' from your shortlist' : '';
     const count = this.filteredArtwork.length;
-    const message = `Showing ${count} ${count === 1 ? 'item' : 'items'} in ${filterText}`;
+    const message = `Showing ${count} ${count === 1 ? 'item' : 'items'}${shortlistText} in ${filterText}${refinementText}`;
     
+    this.announce(message);
+  }
+  
+  announceSearchResults() {
+    const count = this.filteredArtwork.length;
+    const message = this.searchQuery
+      ? `${count} ${count === 1 ? 'result' : 'results'} for "${this.searchQuery}"`
+      : `Search cleared. Showing ${count} ${count === 1 ? 'item' : 'items'}`;
+      
+    this.announce(message);
+  }
+  
+  announce(message) {
     // Create announcement for screen readers
     const announcement = document.createElement('div');
     announcement.setAttribute('aria-live', 'polite');
@@ -363,8 +1241,52 @@ class Gallery {
   }
   
   // Public methods for external use
-  getCurrentFilter() {
-    return this.currentFilter;
+  getFilters() {
+    return FACET_FIELDS.reduce((filters, facet) => {
+      filters[facet] = [...this.filters[facet]];
+      return filters;
+    }, {});
+  }
+  
+  getSortMode() {
+    return this.sortMode;
+  }
+  
+  isShowingShortlist() {
+    return this.isShortlistOnly;
+  }
+  
+  getLayout() {
+    return this.layoutMode;
+  }
+  
+  setLayout(mode) {
+    const layout = LAYOUT_MODES.includes(mode) ? mode : DEFAULT_LAYOUT;
+    
+    LAYOUT_MODES.forEach(name => {
+      this.galleryGrid.classList.toggle(`gallery__grid--${name}`, name === layout && name !== DEFAULT_LAYOUT);
+    });
+    
+    if (layout === this.layoutMode) return;
+    
+    this.layoutMode = layout;
+    
+    // Switching to or from the windowed grid needs a fresh render
+    if (this.isLoaded) {
+      this.renderArtwork(true);
+    }
+  }
+  
+  getSearchQuery() {
+    return this.searchQuery;
+  }
+  
+  setCollection(collectionId) {
+    this.applyFilters({ collection: collectionId });
+  }
+  
+  clearCollection() {
+    this.applyFilters({ collection: null });
   }
   
   getArtworkById(id) {
@@ -375,6 +1297,10 @@ class Gallery {
     return this.filteredArtwork;
   }
   
+  getCompareSelection() {
+    return Array.from(this.compareSelection);
+  }
+  
   addArtwork(newArtwork) {
     if (Array.isArray(newArtwork)) {
       this.artwork.push(...newArtwork);
@@ -382,8 +1308,11 @@ class Gallery {
       this.artwork.push(newArtwork);
     }
     
-    // Refresh current filter
-    this.filterArtwork(this.currentFilter);
+    this.searchIndex.build(this.artwork);
+    this.searchMatches = this.searchIndex.search(this.searchQuery);
+    
+    // Refresh current filter; new categories get their own tab
+    this.filterArtwork();
   }
   
   // Static initialization method
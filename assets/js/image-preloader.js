@@ -0,0 +1,125 @@
+// Image Preloader - image-preloader.js
+// Fetches and decodes images ahead of time, keeping the most recent ones in a small LRU cache
+
+const DEFAULT_CAPACITY = 6;
+
+/**
+ * Whether the user asked the browser to reduce data usage
+ * @returns {boolean} True when Save-Data is on
+ */
+export function prefersReducedData() {
+  return Boolean(navigator.connection && navigator.connection.saveData);
+}
+
+function createAbortError() {
+  const error = new Error('Image load cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+export class ImagePreloader {
+  /**
+   * @param {Object} options - Cache options
+   * @param {number} [options.capacity] - Most images kept, loaded or loading
+   */
+  constructor({ capacity = DEFAULT_CAPACITY } = {}) {
+    this.capacity = capacity;
+    // Insertion order doubles as recency: the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * Load and decode an image, sharing any request already made for it
+   * @param {string} src - Image URL
+   * @returns {Promise<HTMLImageElement>} Decoded image; rejects with an AbortError if cancelled
+   */
+  load(src) {
+    const existing = this.entries.get(src);
+
+    if (existing) {
+      this.entries.delete(src);
+      this.entries.set(src, existing);
+      return existing.promise;
+    }
+
+    const image = new Image();
+    image.decoding = 'async';
+
+    const entry = { image, isReady: false, isSettled: false, reject: null };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.reject = reject;
+      image.onload = () => resolve();
+      image.onerror = () => reject(new Error(`Image failed to load: ${src}`));
+    })
+      // Decoding off the main thread means showing the image won't stall a frame
+      .then(() => (image.decode ? image.decode().catch(() => {}) : null))
+      .then(() => {
+        entry.isReady = true;
+        entry.isSettled = true;
+        return image;
+      }, (error) => {
+        entry.isSettled = true;
+        if (this.entries.get(src) === entry) this.entries.delete(src);
+        throw error;
+      });
+
+    image.src = src;
+
+    this.entries.set(src, entry);
+    this.evict();
+
+    return entry.promise;
+  }
+
+  /**
+   * Warm the cache without waiting; skipped when Save-Data is on
+   * @param {string[]} sources - Image URLs
+   */
+  prefetch(sources) {
+    if (prefersReducedData()) return;
+
+    sources.forEach(src => {
+      this.load(src).catch(() => {});
+    });
+  }
+
+  /**
+   * Cancel downloads that are still in flight, except for the given images
+   * Called on navigation so skipped-past images stop competing for bandwidth.
+   * @param {string[]} sources - Image URLs to keep loading
+   */
+  retain(sources) {
+    this.entries.forEach((entry, src) => {
+      if (!entry.isSettled && !sources.includes(src)) {
+        this.cancel(src);
+      }
+    });
+  }
+
+  cancel(src) {
+    const entry = this.entries.get(src);
+    if (!entry) return;
+
+    this.entries.delete(src);
+
+    if (!entry.isSettled) {
+      entry.image.onload = null;
+      entry.image.onerror = null;
+      // Clearing src aborts the download
+      entry.image.removeAttribute('src');
+      entry.reject(createAbortError());
+    }
+  }
+
+  isReady(src) {
+    const entry = this.entries.get(src);
+    return Boolean(entry && entry.isReady);
+  }
+
+  evict() {
+    while (this.entries.size > this.capacity) {
+      this.cancel(this.entries.keys().next().value);
+    }
+  }
+}
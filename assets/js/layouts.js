@@ -0,0 +1,146 @@
+// Gallery Layouts - layouts.js
+// Masonry and justified-row layout engines driven by each artwork's real dimensions
+
+export const LAYOUT_MODES = ['grid', 'masonry', 'justified'];
+
+export const DEFAULT_LAYOUT = 'grid';
+
+// Treat items within a pixel of each other as touching
+const EPSILON = 1;
+
+/**
+ * Parse a "WIDTHxHEIGHT" dimensions string
+ * @param {string} dimensions - e.g. "2400x3600"
+ * @returns {Object|null} {width, height}, or null when unknown
+ */
+export function parseDimensions(dimensions) {
+  const [width, height] = String(dimensions || '').split('x').map(Number);
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+/**
+ * Width-to-height ratio of an artwork
+ * @param {string} dimensions - e.g. "2400x3600"
+ * @returns {number} Aspect ratio, 1 when unknown
+ */
+export function getAspectRatio(dimensions) {
+  const size = parseDimensions(dimensions);
+  return size ? size.width / size.height : 1;
+}
+
+/**
+ * Place items in the shortest of a fixed number of equal-width columns
+ * @param {number[]} ratios - Aspect ratio per item
+ * @param {Object} options - Layout options
+ * @param {number} options.containerWidth - Available width in pixels
+ * @param {number} options.columns - Column count
+ * @param {number} options.gap - Gap between items in pixels
+ * @returns {Object} {positions: [{x, y, width, height}], height}
+ */
+export function computeMasonryLayout(ratios, { containerWidth, columns, gap }) {
+  const columnWidth = (containerWidth - gap * (columns - 1)) / columns;
+  const columnHeights = new Array(columns).fill(0);
+
+  const positions = ratios.map(ratio => {
+    const column = columnHeights.indexOf(Math.min(...columnHeights));
+    const position = {
+      x: column * (columnWidth + gap),
+      y: columnHeights[column],
+      width: columnWidth,
+      height: columnWidth / ratio
+    };
+
+    columnHeights[column] += position.height + gap;
+    return position;
+  });
+
+  return {
+    positions,
+    height: Math.max(0, Math.max(...columnHeights) - gap)
+  };
+}
+
+/**
+ * Fill rows edge to edge, scaling each row's height to fit its items
+ * The last row keeps the target height rather than stretching a few items.
+ * @param {number[]} ratios - Aspect ratio per item
+ * @param {Object} options - Layout options
+ * @param {number} options.containerWidth - Available width in pixels
+ * @param {number} options.targetRowHeight - Preferred row height in pixels
+ * @param {number} options.gap - Gap between items in pixels
+ * @returns {Object} {positions: [{x, y, width, height}], height}
+ */
+export function computeJustifiedLayout(ratios, { containerWidth, targetRowHeight, gap }) {
+  const positions = [];
+  let row = [];
+  let rowRatio = 0;
+  let y = 0;
+
+  const placeRow = (rowHeight) => {
+    let x = 0;
+    row.forEach(({ index, ratio }) => {
+      const width = ratio * rowHeight;
+      positions[index] = { x, y, width, height: rowHeight };
+      x += width + gap;
+    });
+    y += rowHeight + gap;
+    row = [];
+    rowRatio = 0;
+  };
+
+  ratios.forEach((ratio, index) => {
+    row.push({ index, ratio });
+    rowRatio += ratio;
+
+    const gaps = gap * (row.length - 1);
+    if (rowRatio * targetRowHeight + gaps >= containerWidth) {
+      placeRow((containerWidth - gaps) / rowRatio);
+    }
+  });
+
+  if (row.length) {
+    placeRow(targetRowHeight);
+  }
+
+  return {
+    positions,
+    height: Math.max(0, y - gap)
+  };
+}
+
+/**
+ * Find the item visually above or below another one
+ * Prefers items straight above/below, then the nearest one, so Up/Down follow
+ * the rendered layout rather than a fixed column count.
+ * @param {Object[]} positions - Item positions from a layout
+ * @param {number} index - Current item index
+ * @param {number} direction - 1 for down, -1 for up
+ * @returns {number} Neighbor index, or -1 when there is none
+ */
+export function findVerticalNeighbor(positions, index, direction) {
+  const current = positions[index];
+  if (!current) return -1;
+
+  const centerX = current.x + current.width / 2;
+  let bestIndex = -1;
+  let bestScore = Infinity;
+
+  positions.forEach((position, i) => {
+    const verticalDistance = direction > 0
+      ? position.y - (current.y + current.height)
+      : current.y - (position.y + position.height);
+
+    if (i === index || verticalDistance < -EPSILON) return;
+
+    // Zero when the item spans the current item's center
+    const horizontalDistance = Math.max(0, position.x - centerX, centerX - (position.x + position.width));
+    const score = verticalDistance + horizontalDistance * 2;
+
+    if (score < bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+  });
+
+  return bestIndex;
+}
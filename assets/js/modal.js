@@ -1,13 +1,30 @@
 // Modal Component - modal.js
 // Handles lightbox modal functionality for artwork viewing
 
-import { trapFocus, lockBodyScroll, unlockBodyScroll, debounce } from './utils.js';
+import { trapFocus, lockBodyScroll, unlockBodyScroll, debounce, prefersReducedMotion } from './utils.js';
+import { loadCatalog, loadTileManifest } from './catalog.js';
+import { ZoomController } from './zoom.js';
+import { TiledImage } from './deep-zoom.js';
+import { Slideshow, DEFAULT_SLIDE_INTERVAL } from './slideshow.js';
+import { ImagePreloader } from './image-preloader.js';
+import { ProcessViewer, getProcessStages } from './process-viewer.js';
+import { isShortlisted, toggleShortlist } from './shortlist.js';
+
+// Distance the arrow keys pan a zoomed image
+const KEYBOARD_PAN_STEP = 60;
+
+// Matches the .modal__image--outgoing opacity transition
+const CROSSFADE_DURATION = 600;
 
 class Modal {
   constructor() {
     this.modal = document.querySelector('#lightbox-modal');
     this.modalTitle = document.querySelector('#modal-title');
     this.modalImage = document.querySelector('#modal-image');
+    this.zoomViewport = document.querySelector('#modal-zoom');
+    this.zoomStage = document.querySelector('#modal-zoom-stage');
+    this.tileLayer = document.querySelector('#modal-tiles');
+    this.zoomLevel = document.querySelector('#modal-zoom-level');
     this.modalCategory = document.querySelector('#modal-category');
     this.modalYear = document.querySelector('#modal-year');
     this.modalMedium = document.querySelector('#modal-medium');
@@ -15,6 +32,16 @@ class Modal {
     this.modalDescription = document.querySelector('#modal-description');
     this.prevBtn = document.querySelector('#modal-prev');
     this.nextBtn = document.querySelector('#modal-next');
+    this.filmstrip = document.querySelector('#modal-filmstrip');
+    this.imageContainer = document.querySelector('.modal__image-container');
+    this.favoriteBtn = document.querySelector('#modal-favorite');
+    this.inquireBtn = document.querySelector('#modal-inquire');
+    this.playBtn = document.querySelector('#modal-play');
+    this.fullscreenBtn = document.querySelector('#modal-fullscreen');
+    this.intervalSelect = document.querySelector('#modal-interval');
+    this.progressBar = document.querySelector('#modal-progress-bar');
+    this.processPanel = document.querySelector('#modal-process');
+    this.viewToggle = document.querySelector('#modal-views');
     this.closeButtons = document.querySelectorAll('[data-modal-close]');
     
     this.currentGallery = [];
@@ -23,6 +50,15 @@ class Modal {
     this.isOpen = false;
     this.focusTrap = null;
     this.previouslyFocusedElement = null;
+    this.zoom = null;
+    this.tiledImage = null;
+    this.filmstripGallery = null;
+    this.slideshow = null;
+    this.outgoingImage = null;
+    this.preloader = new ImagePreloader();
+    this.currentImageSrc = null;
+    this.processViewer = null;
+    this.view = 'artwork';
     
     this.init();
   }
@@ -30,17 +66,85 @@ class Modal {
   init() {
     if (!this.modal) return;
     
+    this.setupZoom();
+    this.setupSlideshow();
+    this.setupProcessViewer();
     this.setupEventListeners();
     this.setupKeyboardNavigation();
   }
   
+  setupZoom() {
+    if (!this.zoomViewport || !this.modalImage) return;
+    
+    if (this.tileLayer) {
+      this.tiledImage = new TiledImage(this.tileLayer);
+    }
+    
+    // The stage holds the image and its tile layer so both zoom together
+    this.zoom = new ZoomController(this.zoomViewport, this.zoomStage || this.modalImage, {
+      onChange: (scale) => {
+        this.updateZoomLevel(scale);
+        // Inspecting detail shouldn't be interrupted by the next slide
+        if (this.slideshow) this.slideshow.setHold('zoom', scale > 1);
+        if (this.tiledImage) this.tiledImage.scheduleUpdate(this.zoomViewport);
+      },
+      getNaturalWidth: () => this.tiledImage && this.tiledImage.isActive()
+        ? this.tiledImage.manifest.width
+        : this.modalImage.naturalWidth
+    });
+  }
+  
+  setupSlideshow() {
+    const interval = parseInt(this.modal.dataset.slideshowInterval, 10) || DEFAULT_SLIDE_INTERVAL;
+    
+    this.slideshow = new Slideshow({
+      interval,
+      onAdvance: () => this.advanceSlideshow(),
+      onTick: (progress) => {
+        if (this.progressBar) this.progressBar.style.transform = `scaleX(${progress})`;
+      },
+      onStateChange: (isPlaying) => this.updateSlideshowControls(isPlaying)
+    });
+    
+    if (this.intervalSelect) {
+      // A configured interval that isn't one of the presets gets its own option
+      if (!Array.from(this.intervalSelect.options).some(option => option.value === String(interval))) {
+        this.intervalSelect.add(new Option(`${interval / 1000}s`, String(interval)));
+      }
+      this.intervalSelect.value = String(interval);
+    }
+  }
+  
+  setupProcessViewer() {
+    if (!this.processPanel || !this.viewToggle) return;
+    
+    this.processViewer = new ProcessViewer(this.processPanel, {
+      announce: (message) => this.announce(message)
+    });
+    
+    this.viewToggle.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-view]');
+      if (!button) return;
+      
+      this.setView(button.dataset.view);
+      if (this.view === 'artwork') this.announce('Artwork view');
+    });
+  }
+  
   setupEventListeners() {
     // Listen for gallery open lightbox events
     document.addEventListener('openLightbox', (e) => {
-      const { artwork, index, gallery } = e.detail;
-      this.open(artwork, index, gallery);
+      const { artwork, artworkId, index, gallery } = e.detail;
+      
+      if (artwork) {
+        this.open(artwork, index, gallery);
+      } else if (artworkId) {
+        this.openById(artworkId, gallery);
+      }
     });
     
+    document.addEventListener('closeLightbox', () => this.close());
+    
     // Close button events
     this.closeButtons.forEach(button => {
       button.addEventListener('click', () => this.close());
@@ -55,10 +159,82 @@ class Modal {
       this.nextBtn.addEventListener('click', () => this.next());
     }
     
+    // Shortlist heart
+    if (this.favoriteBtn) {
+      this.favoriteBtn.addEventListener('click', () => this.toggleFavorite());
+    }
+    
+    document.addEventListener('shortlistChange', () => this.updateFavoriteButton());
+    
+    if (this.inquireBtn) {
+      this.inquireBtn.addEventListener('click', () => this.inquire());
+    }
+    
+    // Slideshow controls
+    if (this.playBtn) {
+      this.playBtn.addEventListener('click', () => this.toggleSlideshow());
+    }
+    
+    if (this.fullscreenBtn) {
+      this.fullscreenBtn.addEventListener('click', () => this.togglePresentation());
+    }
+    
+    if (this.intervalSelect) {
+      this.intervalSelect.addEventListener('change', (e) => {
+        this.slideshow.setInterval(parseInt(e.target.value, 10) || DEFAULT_SLIDE_INTERVAL);
+      });
+    }
+    
+    // Hovering or focusing the image pauses the slideshow until the pointer or focus leaves
+    if (this.imageContainer) {
+      this.imageContainer.addEventListener('mouseenter', () => this.slideshow.setHold('hover', true));
+      this.imageContainer.addEventListener('mouseleave', () => this.slideshow.setHold('hover', false));
+      this.imageContainer.addEventListener('focusin', (e) => {
+        // Clicking prev/next also focuses them; only keyboard focus should hold the slideshow
+        if (e.target.matches(':focus-visible')) this.slideshow.setHold('focus', true);
+      });
+      this.imageContainer.addEventListener('focusout', (e) => {
+        if (!this.imageContainer.contains(e.relatedTarget)) {
+          this.slideshow.setHold('focus', false);
+        }
+      });
+    }
+    
+    document.addEventListener('visibilitychange', () => {
+      this.slideshow.setHold('hidden', document.hidden);
+    });
+    
+    document.addEventListener('fullscreenchange', () => this.updateSlideshowControls(this.slideshow.isPlaying));
+    
+    // Filmstrip events (delegated, since thumbnails follow the current gallery)
+    if (this.filmstrip) {
+      this.filmstrip.addEventListener('click', (e) => {
+        const option = e.target.closest('.modal__thumb');
+        if (option) this.goToIndex(Number(option.dataset.index));
+      });
+      
+      this.filmstrip.addEventListener('keydown', (e) => {
+        this.handleFilmstripKeydown(e);
+      });
+    }
+    
     // Keyboard events
     document.addEventListener('keydown', (e) => {
       if (!this.isOpen) return;
       
+      // The filmstrip uses arrow keys to move between thumbnails
+      if (this.filmstrip && this.filmstrip.contains(e.target) && e.key !== 'Escape') return;
+      
+      // So do the before/after divider and the process steps
+      if (this.processPanel && this.processPanel.contains(e.target) && e.key !== 'Escape') return;
+      
+      // While zoomed, arrow keys pan instead of changing image
+      if (this.zoom && this.zoom.isZoomed() && e.key.startsWith('Arrow')) {
+        e.preventDefault();
+        this.panWithKeyboard(e.key);
+        return;
+      }
+      
       switch (e.key) {
         case 'Escape':
           this.close();
@@ -71,6 +247,26 @@ class Modal {
           e.preventDefault();
           this.next();
           break;
+        case '+':
+        case '=':
+          e.preventDefault();
+          this.zoomWithKeyboard('in');
+          break;
+        case '-':
+        case '_':
+          e.preventDefault();
+          this.zoomWithKeyboard('out');
+          break;
+        case '0':
+          e.preventDefault();
+          this.zoomWithKeyboard('reset');
+          break;
+        case ' ':
+          // Leave Space to activate focused buttons and form controls
+          if (e.target instanceof Element && e.target.closest('button, select, input, textarea, a')) break;
+          e.preventDefault();
+          this.toggleSlideshow();
+          break;
       }
     });
     
@@ -101,11 +297,16 @@ class Modal {
     let distY = 0;
     let startTime = 0;
     
+    let isMultiTouch = false;
+    
     const threshold = 100; // Minimum distance for swipe
     const restraint = 50; // Maximum perpendicular distance
     const allowedTime = 300; // Maximum time for swipe
     
     this.modal.addEventListener('touchstart', (e) => {
+      // A second finger means a pinch, which shouldn't end as a swipe
+      isMultiTouch = e.touches.length > 1;
+      
       const touchObj = e.changedTouches[0];
       startX = touchObj.pageX;
       startY = touchObj.pageY;
@@ -113,6 +314,12 @@ class Modal {
     }, { passive: true });
     
     this.modal.addEventListener('touchend', (e) => {
+      // Swipes only change image at 1x; when zoomed the drag pans instead
+      if (isMultiTouch || (this.zoom && this.zoom.isZoomed())) return;
+      
+      // Dragging the before/after divider isn't a swipe either
+      if (this.view !== 'artwork') return;
+      
       const touchObj = e.changedTouches[0];
       distX = touchObj.pageX - startX;
       distY = touchObj.pageY - startY;
@@ -163,16 +370,57 @@ class Modal {
     
     // Update navigation buttons
     this.updateNavigationButtons();
+    this.updateFilmstrip();
     
     // Announce modal opening for screen readers
     this.announceModalState('opened');
+    this.dispatchStateChange();
   }
   
-  close() {
-    if (!this.isOpen) return;
+  async openById(artworkId, gallery = null) {
+    try {
+      // Fall back to the whole catalog when the artwork isn't in the given gallery
+      const inGallery = gallery && gallery.some(item => item.id === artworkId);
+      const items = inGallery ? gallery : (await loadCatalog()).artworks;
+      const index = items.findIndex(item => item.id === artworkId);
+      
+      if (index === -1) return false;
+      
+      if (this.isOpen) {
+        this.currentGallery = items;
+        this.goToIndex(index);
+      } else {
+        this.open(items[index], index, items);
+      }
+      return true;
+    } catch (error) {
+      console.error('Lightbox could not load artwork:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Close the lightbox
+   * @param {Object} [options] - Close options
+   * @param {boolean} [options.restoreFocus] - Return focus to where it was before opening
+   * @returns {Promise} Resolves once the lightbox is hidden and page scrolling is back
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return Promise.resolve();
     
     this.isOpen = false;
     
+    if (this.zoom) this.zoom.reset();
+    if (this.tiledImage) this.tiledImage.clear();
+    this.slideshow.stop();
+    this.currentImageSrc = null;
+    this.preloader.retain([]);
+    this.setView('artwork');
+    
+    if (document.fullscreenElement === this.modal) {
+      document.exitFullscreen().catch(() => {});
+    }
+    
     // Remove focus trap
     if (this.focusTrap) {
       this.focusTrap();
@@ -182,22 +430,41 @@ class Modal {
     // Hide modal
     this.modal.classList.remove('modal--open');
     
-    setTimeout(() => {
-      this.modal.setAttribute('aria-hidden', 'true');
-      this.modal.style.display = 'none';
-      
-      // Unlock body scroll
-      unlockBodyScroll();
-      
-      // Restore focus
-      if (this.previouslyFocusedElement) {
-        this.previouslyFocusedElement.focus();
+    const hidden = new Promise(resolve => {
+      setTimeout(() => {
+        this.modal.setAttribute('aria-hidden', 'true');
+        this.modal.style.display = 'none';
+        
+        // Unlock body scroll
+        unlockBodyScroll();
+        
+        // Restore focus
+        if (this.previouslyFocusedElement && restoreFocus) {
+          this.previouslyFocusedElement.focus();
+        }
         this.previouslyFocusedElement = null;
-      }
-    }, 300);
+        resolve();
+      }, 300);
+    });
     
     // Announce modal closing for screen readers
     this.announceModalState('closed');
+    this.dispatchStateChange();
+    
+    return hidden;
+  }
+  
+  // Hand the current artwork to the contact form as a reference
+  async inquire() {
+    const artwork = this.currentArtwork;
+    if (!artwork) return;
+    
+    // The form takes focus and scrolls itself into view, which needs page scrolling back first
+    await this.close({ restoreFocus: false });
+    
+    document.dispatchEvent(new CustomEvent('inquireAboutArtwork', {
+      detail: { artwork }
+    }));
   }
   
   next() {
@@ -208,7 +475,9 @@ class Modal {
     
     this.updateContent();
     this.updateNavigationButtons();
+    this.updateFilmstrip();
     this.announceNavigation('next');
+    this.dispatchStateChange();
   }
   
   previous() {
@@ -221,7 +490,9 @@ class Modal {
     
     this.updateContent();
     this.updateNavigationButtons();
+    this.updateFilmstrip();
     this.announceNavigation('previous');
+    this.dispatchStateChange();
   }
   
   updateContent() {
@@ -254,39 +525,121 @@ class Modal {
       this.modalDescription.textContent = artwork.description;
     }
     
+    this.updateFavoriteButton();
+    
+    // Process views are offered only for artwork with stages, and every artwork opens on the finished piece
+    if (this.viewToggle) {
+      this.viewToggle.hidden = !this.processViewer || getProcessStages(artwork).length === 0;
+    }
+    this.setView('artwork');
+    
+    // Each image gets a full slide, however it was reached
+    if (this.slideshow) this.slideshow.restart();
+    
     // Update image
     if (this.modalImage) {
-      // Show loading state
-      this.modalImage.style.opacity = '0.5';
+      // Every image opens fitted to the screen
+      if (this.zoom) this.zoom.reset();
       
-      // Create new image to preload
-      const newImg = new Image();
-      newImg.onload = () => {
-        this.modalImage.src = artwork.fullSize;
-        this.modalImage.alt = artwork.alt;
-        this.modalImage.style.opacity = '1';
-      };
-      newImg.onerror = () => {
-        this.modalImage.alt = 'Image failed to load';
-        this.modalImage.style.opacity = '1';
-      };
-      newImg.src = artwork.fullSize;
+      this.loadImage(artwork);
+      this.preloadNeighbors();
     }
     
     // Update modal title for accessibility
     this.modal.setAttribute('aria-labelledby', 'modal-title');
   }
   
+  loadImage(artwork) {
+    if (this.tiledImage) this.tiledImage.clear();
+    
+    if (!artwork.tiles || !this.tiledImage) {
+      this.showImage(artwork, artwork.fullSize);
+      return;
+    }
+    
+    loadTileManifest(artwork.tiles)
+      .then(manifest => {
+        if (this.currentArtwork !== artwork) return;
+        
+        // The thumbnail stands in underneath while tiles stream in on top
+        this.tiledImage.load(manifest, artwork.tiles);
+        this.showImage(artwork, artwork.thumbnail, () => {
+          this.tiledImage.fitTo(this.modalImage);
+          this.tiledImage.update(this.zoomViewport);
+        });
+      })
+      .catch(error => {
+        console.warn('Tile manifest unavailable, using the full size image:', error);
+        if (this.currentArtwork === artwork) {
+          this.showImage(artwork, artwork.fullSize);
+        }
+      });
+  }
+  
+  showImage(artwork, src, onShown = () => {}) {
+    this.currentImageSrc = src;
+    
+    // Show loading state, unless the image was already preloaded
+    if (!this.preloader.isReady(src)) {
+      this.modalImage.style.opacity = '0.5';
+    }
+    
+    this.preloader.load(src)
+      .then(() => {
+        // A later navigation owns the image now
+        if (this.currentArtwork !== artwork || this.currentImageSrc !== src) return;
+        
+        this.modalImage.src = src;
+        this.modalImage.alt = artwork.alt;
+        this.modalImage.style.opacity = '1';
+        this.finishCrossfade();
+        onShown();
+      })
+      .catch(error => {
+        if (error.name === 'AbortError' || this.currentArtwork !== artwork || this.currentImageSrc !== src) return;
+        
+        this.modalImage.alt = 'Image failed to load';
+        this.modalImage.style.opacity = '1';
+        this.finishCrossfade();
+      });
+  }
+  
+  // What the lightbox shows first for an artwork; tiled pieces start from the thumbnail
+  getImageSource(artwork) {
+    return artwork.tiles ? artwork.thumbnail : artwork.fullSize;
+  }
+  
+  preloadNeighbors() {
+    const total = this.currentGallery.length;
+    const neighbors = total > 1
+      ? [this.currentGallery[(this.currentIndex + 1) % total], this.currentGallery[(this.currentIndex - 1 + total) % total]]
+      : [];
+    const sources = neighbors.map(artwork => this.getImageSource(artwork));
+    
+    // Anything else still downloading is an image the user has already skipped past
+    this.preloader.retain([this.currentImageSrc, ...sources]);
+    this.preloader.prefetch(sources);
+  }
+  
   updateNavigationButtons() {
     const hasMultipleImages = this.currentGallery.length > 1;
     const isFirst = this.currentIndex === 0;
     const isLast = this.currentIndex === this.currentGallery.length - 1;
     
+    // 1-based positions of the neighbours, wrapping like previous() and next()
+    const total = this.currentGallery.length;
+    const previousPosition = isFirst ? total : this.currentIndex;
+    const nextPosition = isLast ? 1 : this.currentIndex + 2;
+    
+    if (this.playBtn) {
+      this.playBtn.disabled = !hasMultipleImages;
+    }
+    
     if (this.prevBtn) {
       this.prevBtn.style.display = hasMultipleImages ? 'flex' : 'none';
       this.prevBtn.disabled = !hasMultipleImages;
       this.prevBtn.setAttribute('aria-label', 
-        `Previous image (${this.currentIndex} of ${this.currentGallery.length})`
+        `Previous image (${previousPosition} of ${total})`
       );
     }
     
@@ -294,16 +647,294 @@ class Modal {
       this.nextBtn.style.display = hasMultipleImages ? 'flex' : 'none';
       this.nextBtn.disabled = !hasMultipleImages;
       this.nextBtn.setAttribute('aria-label', 
-        `Next image (${this.currentIndex + 2} of ${this.currentGallery.length})`
+        `Next image (${nextPosition} of ${total})`
       );
     }
   }
   
+  /**
+   * Switch between the artwork and its before/after or process views
+   * @param {string} view - 'artwork', 'compare' or 'steps'
+   */
+  setView(view) {
+    if (!this.processViewer) return;
+    
+    const isProcessView = view !== 'artwork' && this.processViewer.show(this.currentArtwork, view);
+    
+    if (!isProcessView) this.processViewer.hide();
+    this.view = isProcessView ? view : 'artwork';
+    
+    if (isProcessView && this.zoom) this.zoom.reset();
+    this.imageContainer.classList.toggle('modal__image-container--process', isProcessView);
+    
+    // Comparing stages takes a while; the slideshow waits until the user returns to the artwork
+    this.slideshow.setHold('process', isProcessView);
+    
+    this.viewToggle.querySelectorAll('[data-view]').forEach(button => {
+      button.setAttribute('aria-pressed', button.dataset.view === this.view ? 'true' : 'false');
+    });
+  }
+  
+  toggleFavorite() {
+    const artwork = this.currentArtwork;
+    if (!artwork) return;
+    
+    const isFavorite = toggleShortlist(artwork.id);
+    this.announce(isFavorite
+      ? `Added ${artwork.title} to your shortlist.`
+      : `Removed ${artwork.title} from your shortlist.`);
+  }
+  
+  updateFavoriteButton() {
+    if (!this.favoriteBtn || !this.currentArtwork) return;
+    
+    const isFavorite = isShortlisted(this.currentArtwork.id);
+    this.favoriteBtn.setAttribute('aria-pressed', isFavorite ? 'true' : 'false');
+    this.favoriteBtn.setAttribute('aria-label', isFavorite ? 'Remove from shortlist' : 'Add to shortlist');
+    this.favoriteBtn.innerHTML = `<i class="${isFavorite ? 'fas' : 'far'} fa-heart" aria-hidden="true"></i>`;
+  }
+  
+  zoomWithKeyboard(action) {
+    if (!this.zoom || this.view !== 'artwork') return;
+    
+    if (action === 'in') {
+      this.zoom.zoomIn();
+    } else if (action === 'out') {
+      this.zoom.zoomOut();
+    } else {
+      this.zoom.reset(true);
+    }
+    
+    this.announce(`Zoom ${Math.round(this.zoom.scale * 100)}%`);
+  }
+  
+  panWithKeyboard(key) {
+    const offsets = {
+      ArrowLeft: [KEYBOARD_PAN_STEP, 0],
+      ArrowRight: [-KEYBOARD_PAN_STEP, 0],
+      ArrowUp: [0, KEYBOARD_PAN_STEP],
+      ArrowDown: [0, -KEYBOARD_PAN_STEP]
+    };
+    const [dx, dy] = offsets[key] || [0, 0];
+    
+    this.zoom.panBy(dx, dy, true);
+  }
+  
+  updateZoomLevel(scale) {
+    if (!this.zoomLevel) return;
+    
+    this.zoomLevel.hidden = scale <= 1;
+    this.zoomLevel.textContent = `${Math.round(scale * 100)}%`;
+  }
+  
+  toggleSlideshow() {
+    if (this.currentGallery.length <= 1) return;
+    
+    this.slideshow.toggle();
+    this.announce(this.slideshow.isPlaying ? 'Slideshow playing' : 'Slideshow paused');
+  }
+  
+  async togglePresentation() {
+    if (document.fullscreenElement) {
+      await document.exitFullscreen().catch(() => {});
+      return;
+    }
+    
+    if (this.modal.requestFullscreen) {
+      try {
+        await this.modal.requestFullscreen();
+      } catch (error) {
+        console.warn('Fullscreen not available:', error);
+      }
+    }
+    
+    // Presenting starts the slideshow, except for people who asked for less motion;
+    // they can still start it themselves with Play or Space
+    if (!prefersReducedMotion() && !this.slideshow.isPlaying && this.currentGallery.length > 1) {
+      this.toggleSlideshow();
+    }
+  }
+  
+  advanceSlideshow() {
+    this.startCrossfade();
+    this.next();
+  }
+  
+  // Keep a copy of the current image on top and fade it out once the next one is in
+  startCrossfade() {
+    if (prefersReducedMotion() || !this.zoomStage || !this.modalImage.getAttribute('src')) return;
+    
+    this.removeOutgoingImage();
+    
+    const outgoing = this.modalImage.cloneNode(false);
+    outgoing.removeAttribute('id');
+    outgoing.alt = '';
+    outgoing.classList.add('modal__image--outgoing');
+    outgoing.setAttribute('aria-hidden', 'true');
+    
+    this.zoomStage.appendChild(outgoing);
+    this.outgoingImage = outgoing;
+  }
+  
+  finishCrossfade() {
+    const outgoing = this.outgoingImage;
+    if (!outgoing) return;
+    
+    outgoing.classList.add('modal__image--faded');
+    setTimeout(() => {
+      if (this.outgoingImage === outgoing) this.removeOutgoingImage();
+    }, CROSSFADE_DURATION);
+  }
+  
+  removeOutgoingImage() {
+    if (this.outgoingImage) {
+      this.outgoingImage.remove();
+      this.outgoingImage = null;
+    }
+  }
+  
+  updateSlideshowControls(isPlaying) {
+    if (this.playBtn) {
+      this.playBtn.setAttribute('aria-pressed', isPlaying ? 'true' : 'false');
+      this.playBtn.setAttribute('aria-label', isPlaying ? 'Pause slideshow' : 'Play slideshow');
+      this.playBtn.innerHTML = `<i class="fas ${isPlaying ? 'fa-pause' : 'fa-play'}" aria-hidden="true"></i>`;
+    }
+    
+    if (this.fullscreenBtn) {
+      const isFullscreen = document.fullscreenElement === this.modal;
+      this.fullscreenBtn.setAttribute('aria-label', isFullscreen ? 'Exit full screen' : 'Present full screen');
+      this.fullscreenBtn.innerHTML = `<i class="fas ${isFullscreen ? 'fa-compress' : 'fa-expand'}" aria-hidden="true"></i>`;
+    }
+    
+    this.modal.classList.toggle('modal--slideshow', isPlaying);
+  }
+  
+  updateFilmstrip() {
+    if (!this.filmstrip) return;
+    
+    // Rebuild only when the gallery itself changes, so keyboard focus survives navigation
+    if (this.filmstripGallery !== this.currentGallery) {
+      this.renderFilmstrip();
+    }
+    
+    let activeOption = null;
+    
+    this.filmstrip.querySelectorAll('.modal__thumb').forEach(option => {
+      const isActive = Number(option.dataset.index) === this.currentIndex;
+      option.classList.toggle('modal__thumb--active', isActive);
+      option.setAttribute('aria-selected', isActive ? 'true' : 'false');
+      option.setAttribute('tabindex', isActive ? '0' : '-1');
+      if (isActive) activeOption = option;
+    });
+    
+    if (activeOption) this.scrollThumbIntoView(activeOption);
+  }
+  
+  renderFilmstrip() {
+    this.filmstripGallery = this.currentGallery;
+    this.filmstrip.innerHTML = '';
+    this.filmstrip.hidden = this.currentGallery.length <= 1;
+    
+    const total = this.currentGallery.length;
+    
+    this.currentGallery.forEach((artwork, index) => {
+      const option = document.createElement('div');
+      option.className = 'modal__thumb';
+      option.id = `modal-thumb-${artwork.id}`;
+      option.dataset.index = index;
+      option.setAttribute('role', 'option');
+      option.setAttribute('aria-label', `${artwork.title} (${index + 1} of ${total})`);
+      option.setAttribute('aria-selected', 'false');
+      option.setAttribute('tabindex', '-1');
+      
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'modal__thumb-image';
+      thumbnail.src = artwork.thumbnail;
+      thumbnail.alt = '';
+      thumbnail.loading = 'lazy';
+      thumbnail.draggable = false;
+      
+      option.appendChild(thumbnail);
+      this.filmstrip.appendChild(option);
+    });
+  }
+  
+  handleFilmstripKeydown(e) {
+    const options = Array.from(this.filmstrip.querySelectorAll('.modal__thumb'));
+    const currentIndex = options.indexOf(e.target.closest('.modal__thumb'));
+    
+    if (currentIndex === -1) return;
+    
+    let newIndex = currentIndex;
+    
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowUp':
+        e.preventDefault();
+        newIndex = Math.max(0, currentIndex - 1);
+        break;
+        
+      case 'ArrowRight':
+      case 'ArrowDown':
+        e.preventDefault();
+        newIndex = Math.min(options.length - 1, currentIndex + 1);
+        break;
+        
+      case 'Home':
+        e.preventDefault();
+        newIndex = 0;
+        break;
+        
+      case 'End':
+        e.preventDefault();
+        newIndex = options.length - 1;
+        break;
+        
+      case 'Enter':
+      case ' ':
+        e.preventDefault();
+        this.goToIndex(currentIndex);
+        return;
+        
+      default:
+        return;
+    }
+    
+    // Arrow keys move focus; Enter or a click selects
+    options[currentIndex].setAttribute('tabindex', '-1');
+    options[newIndex].setAttribute('tabindex', '0');
+    options[newIndex].focus();
+    this.scrollThumbIntoView(options[newIndex]);
+  }
+  
+  scrollThumbIntoView(option) {
+    // Scroll the strip only, rather than scrollIntoView() which also moves the page
+    const left = option.offsetLeft - (this.filmstrip.clientWidth - option.offsetWidth) / 2;
+    
+    this.filmstrip.scrollTo({
+      left: Math.max(0, left),
+      behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+    });
+  }
+  
+  dispatchStateChange() {
+    // Lets the router keep the open artwork in the URL
+    document.dispatchEvent(new CustomEvent('lightboxStateChange', {
+      detail: {
+        artworkId: this.isOpen ? this.currentArtwork?.id || null : null
+      }
+    }));
+  }
+  
   handleResize() {
     if (!this.isOpen) return;
     
     // Recalculate modal dimensions if needed
     // This ensures the modal stays properly sized on orientation changes
+    if (this.tiledImage && this.tiledImage.isActive()) {
+      this.tiledImage.fitTo(this.modalImage);
+      this.tiledImage.update(this.zoomViewport);
+    }
   }
   
   formatCategory(category) {
@@ -367,6 +998,8 @@ class Modal {
       this.currentArtwork = this.currentGallery[this.currentIndex];
       this.updateContent();
       this.updateNavigationButtons();
+      this.updateFilmstrip();
+      this.dispatchStateChange();
     }
   }
   
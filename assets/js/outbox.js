@@ -0,0 +1,311 @@
+// Outbox - outbox.js
+// Queues contact form submissions in IndexedDB while offline and retries them with exponential backoff
+//
+// Browsers with Background Sync hand retries to the service worker (sw.js), which
+// flushes the queue once connectivity returns even if the page has been closed.
+// Elsewhere the page retries itself, on 'online' and on a backoff timer.
+// This module is shared with the service worker, so it must not touch window or the DOM at load time.
+
+import { sendSubmission } from './transport.js';
+
+export const OUTBOX_SYNC_TAG = 'contact-outbox';
+
+const DB_NAME = 'portfolio-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'submissions';
+
+const BASE_RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// Failures that may succeed later; anything else (e.g. HTTP 4xx) never will
+const RETRYABLE_ERRORS = ['network', 'timeout', 'server', 'rate-limit'];
+
+/**
+ * Whether a failed submission is worth queueing
+ * @param {Error} error - Error from sendSubmission()
+ * @returns {boolean} True for connection, timeout and server-side failures
+ */
+export function isRetryable(error) {
+  return RETRYABLE_ERRORS.includes(error && error.type);
+}
+
+/**
+ * Wait before the next attempt: 5s, 10s, 20s ... up to 5 minutes, with some jitter
+ * so several queued messages don't all retry at once
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempts) {
+  const delay = Math.min(MAX_RETRY_DELAY, BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1));
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+
+    databasePromise = promisifyRequest(request).catch(error => {
+      // Let a later call try again, e.g. after private browsing ends
+      databasePromise = null;
+      throw error;
+    });
+  }
+
+  return databasePromise;
+}
+
+async function runInStore(mode, callback) {
+  const database = await openDatabase();
+  const transaction = database.transaction(STORE_NAME, mode);
+  const result = await promisifyRequest(callback(transaction.objectStore(STORE_NAME)));
+
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+
+  return result;
+}
+
+/**
+ * Queued submissions, oldest first
+ * @returns {Promise<Object[]>} Entries as {id, data, config, attempts, nextAttemptAt, createdAt}
+ */
+export async function getOutboxEntries() {
+  const entries = await runInStore('readonly', store => store.getAll());
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+function putEntry(entry) {
+  return runInStore('readwrite', store => store.put(entry));
+}
+
+function deleteEntry(id) {
+  return runInStore('readwrite', store => store.delete(id));
+}
+
+/**
+ * Try every queued submission that is due
+ * @param {Object} [options] - Flush options
+ * @param {boolean} [options.force] - Ignore backoff, e.g. right after coming back online
+ * @returns {Promise<Object>} {sent: entries, failed: [{entry, type}], remaining: entries}
+ */
+export async function flushOutbox({ force = false } = {}) {
+  const entries = await getOutboxEntries();
+  const result = { sent: [], failed: [], remaining: [] };
+
+  // One at a time, so a dead connection fails fast instead of timing out in parallel
+  for (const entry of entries) {
+    if (!force && entry.nextAttemptAt > Date.now()) {
+      result.remaining.push(entry);
+      continue;
+    }
+
+    try {
+      await sendSubmission(entry.data, entry.config);
+      await deleteEntry(entry.id);
+      result.sent.push(entry);
+    } catch (error) {
+      if (isRetryable(error)) {
+        const attempts = entry.attempts + 1;
+        const updated = { ...entry, attempts, nextAttemptAt: Date.now() + getRetryDelay(attempts) };
+        await putEntry(updated);
+        result.remaining.push(updated);
+      } else {
+        await deleteEntry(entry.id);
+        result.failed.push({ entry, type: error.type || 'unknown' });
+      }
+    }
+  }
+
+  return result;
+}
+
+// The page's registration, if it has one that can run Background Sync
+async function getSyncRegistration() {
+  if (!('serviceWorker' in navigator) || typeof SyncManager === 'undefined') return null;
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    return registration && registration.active && registration.sync ? registration : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+export class Outbox {
+  /**
+   * @param {Object} options - Callbacks
+   * @param {Function} [options.onSent] - (entry) => void, after a queued submission goes through
+   * @param {Function} [options.onFailed] - (entry, type) => void, when one is dropped as undeliverable
+   * @param {Function} [options.onChange] - (entries) => void, whenever the queue changes
+   */
+  constructor({ onSent = () => {}, onFailed = () => {}, onChange = () => {} } = {}) {
+    this.onSent = onSent;
+    this.onFailed = onFailed;
+    this.onChange = onChange;
+    this.timer = null;
+    this.isFlushing = false;
+    this.syncRegistration = null;
+  }
+
+  /**
+   * Pick up submissions queued on an earlier visit and start watching connectivity
+   * @returns {Promise<Object[]>} Entries still queued
+   */
+  async init() {
+    this.syncRegistration = await getSyncRegistration();
+
+    window.addEventListener('online', () => {
+      if (this.syncRegistration) {
+        this.requestSync();
+      } else {
+        this.flush({ force: true });
+      }
+    });
+
+    // The service worker reports what it sent in the background
+    if (this.syncRegistration) {
+      navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'outbox-flushed') this.handleFlushResult(e.data);
+      });
+    }
+
+    const entries = await this.getEntries();
+
+    // A sync registered on an earlier visit may have been dropped (e.g. the browser was closed), so ask again
+    if (entries.length && this.syncRegistration) {
+      this.requestSync();
+    }
+
+    if (entries.length && navigator.onLine && !this.syncRegistration) {
+      this.flush({ force: true });
+    } else {
+      this.notifyChange(entries);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Queue a submission
+   * @param {Object} data - Submission data
+   * @param {Object} config - Transport settings to send it with
+   * @returns {Promise<Object>} The queued entry
+   */
+  async add(data, config) {
+    const now = Date.now();
+    const entry = {
+      id: `outbox-${now}-${Math.random().toString(36).slice(2, 11)}`,
+      data,
+      config,
+      attempts: 0,
+      nextAttemptAt: now + getRetryDelay(1),
+      createdAt: now
+    };
+
+    await putEntry(entry);
+
+    if (this.syncRegistration) {
+      await this.requestSync();
+    } else {
+      this.schedule();
+    }
+
+    this.notifyChange(await this.getEntries());
+    return entry;
+  }
+
+  /**
+   * Remove queued submissions before they are sent
+   * @param {string[]} [ids] - Entries to cancel; all of them when left out
+   * @returns {Promise<Object[]>} The cancelled entries
+   */
+  async cancel(ids) {
+    const entries = await this.getEntries();
+    const cancelled = ids ? entries.filter(entry => ids.includes(entry.id)) : entries;
+
+    await Promise.all(cancelled.map(entry => deleteEntry(entry.id)));
+
+    this.schedule();
+    this.notifyChange(await this.getEntries());
+    return cancelled;
+  }
+
+  async getEntries() {
+    try {
+      return await getOutboxEntries();
+    } catch (error) {
+      return [];
+    }
+  }
+
+  async flush({ force = false } = {}) {
+    if (this.isFlushing) return;
+
+    this.isFlushing = true;
+    clearTimeout(this.timer);
+
+    try {
+      this.handleFlushResult(await flushOutbox({ force }));
+    } catch (error) {
+      console.warn('Outbox flush failed:', error);
+    } finally {
+      this.isFlushing = false;
+    }
+
+    this.schedule();
+  }
+
+  handleFlushResult({ sent, failed, remaining }) {
+    sent.forEach(entry => this.onSent(entry));
+    failed.forEach(({ entry, type }) => this.onFailed(entry, type));
+    this.notifyChange(remaining);
+  }
+
+  // Wake up for the next entry that is due
+  async schedule() {
+    clearTimeout(this.timer);
+    if (this.syncRegistration) return;
+
+    const entries = await this.getEntries();
+    if (!entries.length) return;
+
+    const nextAttemptAt = Math.min(...entries.map(entry => entry.nextAttemptAt));
+    this.timer = setTimeout(() => {
+      // Offline attempts would only fail; 'online' flushes as soon as it can
+      if (navigator.onLine) this.flush();
+    }, Math.max(0, nextAttemptAt - Date.now()));
+  }
+
+  async requestSync() {
+    try {
+      await this.syncRegistration.sync.register(OUTBOX_SYNC_TAG);
+    } catch (error) {
+      // Sync can be refused (e.g. by site settings); fall back to retrying from the page
+      this.syncRegistration = null;
+      this.schedule();
+    }
+  }
+
+  notifyChange(entries) {
+    this.onChange(entries);
+  }
+}
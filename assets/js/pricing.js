@@ -0,0 +1,200 @@
+// Pricing - pricing.js
+// Estimates a commission's price range from the contact form's answers, using rates from pricing.json
+//
+// The estimate starts from the project type's base range, adds fixed amounts
+// ("add" and "perUnit" rules), then applies every matching multiplier, and is
+// rounded outwards to the nearest `roundTo`. Rates can be changed in the JSON alone.
+// A "perUnit" rule only counts whole numbers, capped at its optional `maxUnits`.
+
+export const PRICING_URL = 'assets/data/pricing.json';
+export const PRICING_VERSION = 1;
+
+const RULE_TYPES = ['add', 'perUnit', 'multiplier'];
+
+let pricingRequest = null;
+
+/**
+ * Error raised when the pricing rules cannot be fetched or are malformed
+ */
+export class PricingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PricingError';
+  }
+}
+
+function isRange(value) {
+  return Boolean(value) && Number.isFinite(value.min) && Number.isFinite(value.max) && value.min <= value.max;
+}
+
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return ['rule must be an object'];
+
+  const problems = [];
+
+  if (!RULE_TYPES.includes(rule.type)) problems.push(`"type" must be one of ${RULE_TYPES.join(', ')}`);
+  if (typeof rule.field !== 'string' || !rule.field) problems.push('"field" is required');
+  if (typeof rule.label !== 'string' || !rule.label) problems.push('"label" is required');
+
+  if (rule.type === 'perUnit' && !isRange(rule)) {
+    problems.push('"min" and "max" must be numbers with min <= max');
+  }
+
+  if (rule.type === 'perUnit' && rule.maxUnits !== undefined && !(Number.isInteger(rule.maxUnits) && rule.maxUnits > 0)) {
+    problems.push('"maxUnits" must be a positive whole number');
+  }
+
+  if (rule.type === 'add' || rule.type === 'multiplier') {
+    const values = rule.values && typeof rule.values === 'object' ? Object.values(rule.values) : null;
+    const isValidValue = rule.type === 'add' ? isRange : value => Number.isFinite(value) && value > 0;
+
+    if (!values || !values.every(isValidValue)) {
+      problems.push(rule.type === 'add'
+        ? '"values" must map answers to {min, max}'
+        : '"values" must map answers to positive numbers');
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a parsed pricing document
+ * Malformed rules are dropped with a console warning; a malformed document is rejected.
+ * @param {Object} data - Parsed pricing JSON
+ * @returns {Object} {currency, roundTo, base, rules}
+ */
+export function validatePricingRules(data) {
+  if (!data || typeof data !== 'object') {
+    throw new PricingError('Pricing rules must be a JSON object');
+  }
+
+  if (data.version !== PRICING_VERSION) {
+    throw new PricingError(`Unsupported pricing version: ${data.version} (expected ${PRICING_VERSION})`);
+  }
+
+  if (typeof data.currency !== 'string' || !data.base || typeof data.base !== 'object') {
+    throw new PricingError('Pricing rules need a "currency" and a "base" range per project type');
+  }
+
+  const invalidBase = Object.keys(data.base).filter(projectType => !isRange(data.base[projectType]));
+  if (invalidBase.length) {
+    throw new PricingError(`Invalid base range for: ${invalidBase.join(', ')}`);
+  }
+
+  const rejected = [];
+  const rules = (Array.isArray(data.rules) ? data.rules : []).filter((rule, index) => {
+    const problems = validateRule(rule);
+    if (problems.length) rejected.push({ index, field: rule?.field, problems });
+    return !problems.length;
+  });
+
+  if (rejected.length) {
+    console.warn(`Skipped ${rejected.length} invalid pricing ${rejected.length === 1 ? 'rule' : 'rules'}:`, rejected);
+  }
+
+  return {
+    currency: data.currency,
+    roundTo: Number.isFinite(data.roundTo) && data.roundTo > 0 ? data.roundTo : 1,
+    base: data.base,
+    rules
+  };
+}
+
+/**
+ * Fetch and validate the pricing rules
+ * The request is shared, and forgotten if it fails so a later call can retry.
+ * @param {string} url - Pricing rules URL
+ * @returns {Promise<Object>} Validated rules (see validatePricingRules)
+ */
+export function loadPricingRules(url = PRICING_URL) {
+  if (!pricingRequest) {
+    pricingRequest = fetch(url, { headers: { Accept: 'application/json' } })
+      .then(response => {
+        if (!response.ok) {
+          throw new PricingError(`Pricing request failed with status ${response.status}`);
+        }
+        return response.json();
+      })
+      .then(validatePricingRules);
+
+    pricingRequest.catch(() => {
+      pricingRequest = null;
+    });
+  }
+
+  return pricingRequest;
+}
+
+// Checkbox groups arrive as comma-separated values
+function getAnswers(value) {
+  return typeof value === 'string' && value ? value.split(',') : [];
+}
+
+/**
+ * Estimate a price range
+ * @param {Object} pricing - Validated rules
+ * @param {Object} values - Form answers by field name; leave out fields that don't apply
+ * @returns {Object|null} {min, max, currency, adjustments: [{label, min, max} | {label, factor}]},
+ *   or null until a project type with a base range is chosen
+ */
+export function estimatePrice(pricing, values) {
+  const base = pricing.base[values['project-type']];
+  if (!base) return null;
+
+  let min = base.min;
+  let max = base.max;
+  let factor = 1;
+  const adjustments = [];
+
+  pricing.rules.forEach(rule => {
+    const answers = getAnswers(values[rule.field]);
+    if (!answers.length) return;
+
+    if (rule.type === 'perUnit') {
+      // Half-typed or out-of-range counts shouldn't swing the estimate
+      const count = answers[0].trim();
+      if (!/^\d+$/.test(count)) return;
+
+      const units = Math.min(Number(count), rule.maxUnits || Infinity);
+      const extraUnits = Math.max(0, units - (rule.included || 0));
+      if (!extraUnits) return;
+
+      adjustments.push({ label: `${rule.label} (${extraUnits})`, min: rule.min * extraUnits, max: rule.max * extraUnits });
+      min += rule.min * extraUnits;
+      max += rule.max * extraUnits;
+    } else if (rule.type === 'add') {
+      answers.filter(answer => rule.values[answer]).forEach(answer => {
+        const { min: addMin, max: addMax } = rule.values[answer];
+        adjustments.push({ label: `${rule.label} (${answer})`, min: addMin, max: addMax });
+        min += addMin;
+        max += addMax;
+      });
+    } else {
+      const ruleFactor = Math.max(...answers.map(answer => rule.values[answer] || 1));
+      if (ruleFactor === 1) return;
+
+      adjustments.push({ label: rule.label, factor: ruleFactor });
+      factor *= ruleFactor;
+    }
+  });
+
+  const { roundTo } = pricing;
+
+  return {
+    min: Math.floor((min * factor) / roundTo) * roundTo,
+    max: Math.ceil((max * factor) / roundTo) * roundTo,
+    currency: pricing.currency,
+    adjustments
+  };
+}
+
+/**
+ * Format an amount of money without cents
+ * @param {number} amount - Amount
+ * @param {string} currency - ISO currency code
+ * @returns {string} e.g. "$1,250"
+ */
+export function formatPrice(amount, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency, maximumFractionDigits: 0 }).format(amount);
+}
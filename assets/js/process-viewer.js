@@ -0,0 +1,306 @@
+// Process Viewer - process-viewer.js
+// Before/after slider and step-through view of an artwork's process stages
+
+import { escapeHtml } from './utils.js';
+
+export const PROCESS_VIEWS = ['compare', 'steps'];
+
+// Slider movement per arrow key and per Page Up/Down, in percent
+const SLIDER_STEP = 5;
+const SLIDER_PAGE_STEP = 25;
+const SLIDER_START = 50;
+
+/**
+ * Ordered stages of an artwork, ending with the finished piece
+ * @param {Object} artwork - Artwork entry
+ * @returns {Object[]} Stages as {label, image, alt}, empty when the artwork has none
+ */
+export function getProcessStages(artwork) {
+  const stages = Array.isArray(artwork?.stages) ? artwork.stages : [];
+  if (!stages.length) return [];
+
+  return [
+    ...stages.map(stage => ({
+      label: stage.label,
+      image: stage.image,
+      alt: stage.alt || `${artwork.title}, ${stage.label.toLowerCase()} stage`
+    })),
+    { label: 'Final', image: artwork.fullSize, alt: artwork.alt }
+  ];
+}
+
+export class ProcessViewer {
+  /**
+   * @param {HTMLElement} container - Element the views render into
+   * @param {Object} options - Callbacks
+   * @param {Function} [options.announce] - (message) => void, for screen reader updates
+   */
+  constructor(container, { announce = () => {} } = {}) {
+    this.container = container;
+    this.announce = announce;
+    this.stages = [];
+    this.view = null;
+    this.stepIndex = 0;
+    this.position = SLIDER_START;
+    this.dragPointer = null;
+
+    this.compare = null;
+    this.beforeLayer = null;
+    this.handle = null;
+    this.stepImage = null;
+    this.stepCaption = null;
+    this.stepDots = [];
+    this.prevStepBtn = null;
+    this.nextStepBtn = null;
+
+    this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+  }
+
+  /**
+   * Show a view for an artwork
+   * @param {Object} artwork - Artwork entry with stages
+   * @param {string} view - 'compare' or 'steps'
+   * @returns {boolean} Whether the artwork has stages to show
+   */
+  show(artwork, view) {
+    this.stages = getProcessStages(artwork);
+    if (!this.stages.length || !PROCESS_VIEWS.includes(view)) {
+      this.hide();
+      return false;
+    }
+
+    this.view = view;
+    this.container.hidden = false;
+
+    if (view === 'compare') {
+      this.renderCompare();
+      this.announce(`Before and after comparison. ${this.getBefore().label} on the left, ${this.getAfter().label} on the right. Use the arrow keys on the divider to reveal more of either.`);
+    } else {
+      this.renderSteps();
+      this.announce(`Process view, ${this.stages.length} steps. ${this.getStepLabel()}`);
+    }
+
+    return true;
+  }
+
+  hide() {
+    this.view = null;
+    this.dragPointer = null;
+    this.container.hidden = true;
+    this.container.innerHTML = '';
+    this.compare = null;
+    this.handle = null;
+    this.stepDots = [];
+  }
+
+  isActive() {
+    return this.view !== null;
+  }
+
+  getBefore() {
+    return this.stages[0];
+  }
+
+  getAfter() {
+    return this.stages[this.stages.length - 1];
+  }
+
+  renderCompare() {
+    const before = this.getBefore();
+    const after = this.getAfter();
+    this.position = SLIDER_START;
+
+    this.container.innerHTML = `
+      <div class="process-compare">
+        <img class="process-compare__image" src="${escapeHtml(after.image)}" alt="${escapeHtml(after.alt)}" draggable="false">
+        <div class="process-compare__before">
+          <img class="process-compare__image" src="${escapeHtml(before.image)}" alt="${escapeHtml(before.alt)}" draggable="false">
+        </div>
+        <span class="process-compare__label process-compare__label--before" aria-hidden="true">${escapeHtml(before.label)}</span>
+        <span class="process-compare__label process-compare__label--after" aria-hidden="true">${escapeHtml(after.label)}</span>
+        <div class="process-compare__handle"
+             role="slider"
+             tabindex="0"
+             aria-label="Before and after divider"
+             aria-orientation="horizontal"
+             aria-valuemin="0"
+             aria-valuemax="100"></div>
+      </div>
+    `;
+
+    this.compare = this.container.querySelector('.process-compare');
+    this.beforeLayer = this.container.querySelector('.process-compare__before');
+    this.handle = this.container.querySelector('.process-compare__handle');
+
+    this.compare.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.compare.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.compare.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.compare.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+    this.setPosition(this.position);
+  }
+
+  /**
+   * Move the before/after divider
+   * @param {number} position - Percent of the width showing the before stage, 0–100
+   */
+  setPosition(position) {
+    this.position = Math.round(Math.min(100, Math.max(0, position)));
+    if (!this.handle) return;
+
+    this.beforeLayer.style.clipPath = `inset(0 ${100 - this.position}% 0 0)`;
+    this.handle.style.left = `${this.position}%`;
+    this.handle.setAttribute('aria-valuenow', String(this.position));
+    this.handle.setAttribute('aria-valuetext',
+      `${this.position}% ${this.getBefore().label}, ${100 - this.position}% ${this.getAfter().label}`);
+  }
+
+  handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    e.preventDefault();
+    this.dragPointer = e.pointerId;
+    this.compare.setPointerCapture?.(e.pointerId);
+    this.handle.focus();
+    this.setPositionFromPointer(e);
+  }
+
+  handlePointerMove(e) {
+    if (e.pointerId !== this.dragPointer) return;
+    this.setPositionFromPointer(e);
+  }
+
+  handlePointerUp(e) {
+    if (e.pointerId === this.dragPointer) {
+      this.dragPointer = null;
+    }
+  }
+
+  setPositionFromPointer(e) {
+    const rect = this.compare.getBoundingClientRect();
+    if (!rect.width) return;
+
+    this.setPosition(((e.clientX - rect.left) / rect.width) * 100);
+  }
+
+  renderSteps() {
+    this.stepIndex = 0;
+
+    const dots = this.stages.map((stage, index) => `
+      <li>
+        <button class="process-steps__dot" type="button" data-step="${index}" aria-label="Step ${index + 1}: ${escapeHtml(stage.label)}"></button>
+      </li>
+    `).join('');
+
+    this.container.innerHTML = `
+      <figure class="process-steps">
+        <img class="process-steps__image" src="" alt="" draggable="false">
+        <figcaption class="process-steps__caption"></figcaption>
+      </figure>
+      <div class="process-steps__nav">
+        <button class="process-steps__btn" type="button" data-step-direction="-1" aria-label="Previous step">
+          <i class="fas fa-chevron-left" aria-hidden="true"></i>
+        </button>
+        <ol class="process-steps__dots">${dots}</ol>
+        <button class="process-steps__btn" type="button" data-step-direction="1" aria-label="Next step">
+          <i class="fas fa-chevron-right" aria-hidden="true"></i>
+        </button>
+      </div>
+    `;
+
+    this.stepImage = this.container.querySelector('.process-steps__image');
+    this.stepCaption = this.container.querySelector('.process-steps__caption');
+    this.stepDots = Array.from(this.container.querySelectorAll('.process-steps__dot'));
+    this.prevStepBtn = this.container.querySelector('[data-step-direction="-1"]');
+    this.nextStepBtn = this.container.querySelector('[data-step-direction="1"]');
+
+    this.container.querySelector('.process-steps__nav').addEventListener('click', (e) => {
+      const dot = e.target.closest('[data-step]');
+      const direction = e.target.closest('[data-step-direction]');
+
+      if (dot) {
+        this.goToStep(Number(dot.dataset.step));
+      } else if (direction) {
+        this.goToStep(this.stepIndex + Number(direction.dataset.stepDirection));
+      }
+    });
+
+    this.updateStep();
+  }
+
+  /**
+   * Show one stage in the step-through view
+   * @param {number} index - Stage index, clamped to the available stages
+   */
+  goToStep(index) {
+    const nextIndex = Math.min(this.stages.length - 1, Math.max(0, index));
+    if (nextIndex === this.stepIndex || this.view !== 'steps') return;
+
+    this.stepIndex = nextIndex;
+    this.updateStep();
+    this.announce(this.getStepLabel());
+  }
+
+  updateStep() {
+    const stage = this.stages[this.stepIndex];
+
+    this.stepImage.src = stage.image;
+    this.stepImage.alt = stage.alt;
+    this.stepCaption.textContent = this.getStepLabel();
+
+    this.stepDots.forEach((dot, index) => {
+      if (index === this.stepIndex) {
+        dot.setAttribute('aria-current', 'step');
+      } else {
+        dot.removeAttribute('aria-current');
+      }
+    });
+
+    this.prevStepBtn.disabled = this.stepIndex === 0;
+    this.nextStepBtn.disabled = this.stepIndex === this.stages.length - 1;
+  }
+
+  getStepLabel() {
+    return `Step ${this.stepIndex + 1} of ${this.stages.length}: ${this.stages[this.stepIndex].label}`;
+  }
+
+  handleKeydown(e) {
+    if (this.view === 'compare' && e.target === this.handle) {
+      const positions = {
+        ArrowLeft: this.position - SLIDER_STEP,
+        ArrowDown: this.position - SLIDER_STEP,
+        ArrowRight: this.position + SLIDER_STEP,
+        ArrowUp: this.position + SLIDER_STEP,
+        PageDown: this.position - SLIDER_PAGE_STEP,
+        PageUp: this.position + SLIDER_PAGE_STEP,
+        Home: 0,
+        End: 100
+      };
+
+      if (e.key in positions) {
+        e.preventDefault();
+        this.setPosition(positions[e.key]);
+      }
+      return;
+    }
+
+    if (this.view === 'steps') {
+      const steps = {
+        ArrowLeft: this.stepIndex - 1,
+        ArrowRight: this.stepIndex + 1,
+        Home: 0,
+        End: this.stages.length - 1
+      };
+
+      if (e.key in steps) {
+        e.preventDefault();
+        this.goToStep(steps[e.key]);
+
+        // Keep focus on a control that still does something at either end
+        if (e.target.disabled) {
+          (this.prevStepBtn.disabled ? this.nextStepBtn : this.prevStepBtn).focus();
+        }
+      }
+    }
+  }
+}
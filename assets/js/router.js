@@ -0,0 +1,239 @@
+// Router - router.js
+// Mirrors gallery filters, paging and the open lightbox artwork in the URL hash
+// e.g. #gallery?filter=concept-art&collection=sci-fi-series&year=2024&sort=newest&page=2&art=artwork-002
+//
+// The shortlist view lists its ids (#gallery?shortlist=artwork-001&shortlist=artwork-004),
+// so its URL doubles as a link for sharing the shortlist. The ids are only imported into
+// the visitor's own shortlist when the page first loads, never on Back/Forward.
+
+import { dispatchCustomEvent } from './utils.js';
+import { FACET_FIELDS } from './facets.js';
+import { DEFAULT_SORT } from './sorting.js';
+
+const GALLERY_SECTION = 'gallery';
+
+// Query parameter for each facet; multiple options repeat the parameter
+const FACET_PARAMS = {
+  category: 'filter',
+  collection: 'collection',
+  year: 'year',
+  medium: 'medium'
+};
+
+/**
+ * Parse a location hash into router state
+ * @param {string} hash - Location hash, with or without the leading '#'
+ * @returns {Object} Route state {section, filters, sort, page, art, shortlist}
+ */
+export function parseRoute(hash = '') {
+  const [section, query = ''] = hash.replace(/^#/, '').split('?');
+  const params = new URLSearchParams(query);
+  const page = parseInt(params.get('page'), 10);
+
+  const filters = FACET_FIELDS.reduce((result, facet) => {
+    result[facet] = params.getAll(FACET_PARAMS[facet]).filter(value => value && value !== 'all');
+    return result;
+  }, {});
+
+  return {
+    section: section || null,
+    filters,
+    sort: params.get('sort') || DEFAULT_SORT,
+    page: page > 1 ? page : 1,
+    art: params.get('art') || null,
+    // null when not viewing the shortlist; an empty shortlist is still a shortlist view
+    shortlist: params.has('shortlist') ? params.getAll('shortlist').filter(Boolean) : null
+  };
+}
+
+/**
+ * Serialize router state into a location hash
+ * Default values are left out so a plain gallery view has no query at all.
+ * @param {Object} state - Route state
+ * @returns {string} Hash including the leading '#', or '' for the default view
+ */
+export function serializeRoute(state) {
+  const params = new URLSearchParams();
+
+  FACET_FIELDS.forEach(facet => {
+    (state.filters?.[facet] || []).forEach(value => params.append(FACET_PARAMS[facet], value));
+  });
+
+  if (Array.isArray(state.shortlist)) {
+    if (state.shortlist.length) {
+      state.shortlist.forEach(id => params.append('shortlist', id));
+    } else {
+      params.set('shortlist', '');
+    }
+  }
+
+  if (state.sort && state.sort !== DEFAULT_SORT) params.set('sort', state.sort);
+  if (state.page > 1) params.set('page', state.page);
+  if (state.art) params.set('art', state.art);
+
+  const query = params.toString();
+  return query ? `#${GALLERY_SECTION}?${query}` : '';
+}
+
+class Router {
+  constructor() {
+    this.state = parseRoute(window.location.hash);
+    this.galleryItems = null;
+    this.pendingArtworkId = null;
+    this.isRestoring = false;
+    // Whether the history entry for the open lightbox was pushed by opening it
+    this.hasLightboxEntry = false;
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+    this.restore(this.state, { importShortlist: true });
+  }
+
+  setupEventListeners() {
+    document.addEventListener('galleryStateChange', (e) => {
+      this.handleGalleryChange(e.detail);
+    });
+
+    document.addEventListener('lightboxStateChange', (e) => {
+      this.handleLightboxChange(e.detail);
+    });
+
+    // Back/forward buttons
+    window.addEventListener('popstate', () => {
+      this.restore(parseRoute(window.location.hash));
+    });
+  }
+
+  restore(route, { importShortlist = false } = {}) {
+    this.isRestoring = true;
+    this.hasLightboxEntry = false;
+    this.state = { ...route };
+
+    dispatchCustomEvent('filterGallery', {
+      filter: route.filters.category,
+      collection: route.filters.collection,
+      year: route.filters.year,
+      medium: route.filters.medium,
+      sort: route.sort,
+      page: route.page,
+      shortlist: route.shortlist,
+      importShortlist
+    });
+
+    if (route.art) {
+      // Wait for the gallery so the lightbox can step through the filtered set
+      if (this.galleryItems) {
+        this.openArtwork(route.art);
+      } else {
+        this.pendingArtworkId = route.art;
+      }
+    } else {
+      this.pendingArtworkId = null;
+      dispatchCustomEvent('closeLightbox');
+    }
+
+    this.isRestoring = false;
+  }
+
+  openArtwork(artworkId) {
+    dispatchCustomEvent('openLightbox', {
+      artworkId,
+      gallery: this.galleryItems
+    });
+  }
+
+  handleGalleryChange({ filters, sort, page, items, shortlist = null }) {
+    // Hearting pieces in the shortlist view changes its ids, but not the view
+    const isPageOnly = serializeRoute({ filters, sort, shortlist: shortlist && [] }) ===
+      serializeRoute({ filters: this.state.filters, sort: this.state.sort, shortlist: this.state.shortlist && [] });
+
+    this.galleryItems = items;
+    this.state = { ...this.state, filters, sort, page, shortlist };
+
+    if (this.pendingArtworkId) {
+      const artworkId = this.pendingArtworkId;
+      this.pendingArtworkId = null;
+      this.openArtwork(artworkId);
+    }
+
+    // Loading more pages shouldn't add history entries
+    if (this.commit(isPageOnly ? 'replace' : 'push') === 'push') {
+      this.hasLightboxEntry = false;
+    }
+  }
+
+  handleLightboxChange({ artworkId }) {
+    const wasOpen = Boolean(this.state.art);
+
+    this.state = { ...this.state, art: artworkId };
+
+    if (artworkId) {
+      // Stepping through images replaces the entry so Back closes the lightbox
+      if (this.commit(wasOpen ? 'replace' : 'push') === 'push') {
+        this.hasLightboxEntry = true;
+      }
+      return;
+    }
+
+    if (!wasOpen || this.isRestoring) return;
+
+    // Closing returns to the entry opening it pushed, so Back doesn't reopen the lightbox;
+    // a lightbox opened from the URL has no such entry and drops the artwork in place
+    if (this.hasLightboxEntry) {
+      this.hasLightboxEntry = false;
+      history.back();
+    } else {
+      this.commit('replace');
+    }
+  }
+
+  /**
+   * Write the current state to the URL
+   * @param {string} mode - 'push' or 'replace'
+   * @returns {string|null} The mode used, or null when the URL was left alone
+   */
+  commit(mode) {
+    if (this.isRestoring) return null;
+
+    const hash = serializeRoute(this.state);
+    const currentHash = window.location.hash;
+
+    if (hash === currentHash) return null;
+
+    // Leave plain section links like #about alone while the gallery is in its default state
+    if (!hash && !currentHash.includes('?')) return null;
+
+    const url = `${window.location.pathname}${window.location.search}${hash || `#${GALLERY_SECTION}`}`;
+
+    if (mode === 'replace') {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+
+    return mode;
+  }
+
+  // Public methods
+  getState() {
+    return { ...this.state };
+  }
+
+  // Static initialization method
+  static init() {
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => new Router());
+    } else {
+      new Router();
+    }
+  }
+}
+
+// Auto-initialize when script loads
+Router.init();
+
+// Export for potential external use
+export default Router;
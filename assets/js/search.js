@@ -0,0 +1,120 @@
+// Search Index - search.js
+// Client-side inverted index for prefix search across artwork text fields
+
+import { escapeHtml } from './utils.js';
+
+// Artwork fields that are searchable
+const SEARCH_FIELDS = ['title', 'description', 'medium', 'tags'];
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Normalize text into lowercase, accent-free search tokens
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens in order of appearance
+ */
+export function tokenize(text) {
+  if (!text) return [];
+
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(WORD_PATTERN) || [];
+}
+
+/**
+ * Wrap words that start with any of the query tokens in <mark>
+ * The rest of the text is HTML-escaped, so the result is safe for innerHTML.
+ * @param {string} text - Text to highlight
+ * @param {string[]} queryTokens - Tokens from tokenize(query)
+ * @returns {string} HTML string
+ */
+export function highlightMatches(text, queryTokens) {
+  if (!text) return '';
+  if (!queryTokens.length) return escapeHtml(text);
+
+  return String(text)
+    .split(/([\p{L}\p{N}]+)/u)
+    .map(part => {
+      const [token] = tokenize(part);
+      const isMatch = token && queryTokens.some(queryToken => token.startsWith(queryToken));
+      return isMatch ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part);
+    })
+    .join('');
+}
+
+export class SearchIndex {
+  constructor(items = []) {
+    this.postings = new Map();
+    this.terms = [];
+    this.build(items);
+  }
+
+  /**
+   * (Re)build the index from a list of artworks
+   * @param {Object[]} items - Artwork entries
+   */
+  build(items) {
+    this.postings.clear();
+
+    items.forEach(item => {
+      SEARCH_FIELDS.forEach(field => {
+        const value = Array.isArray(item[field]) ? item[field].join(' ') : item[field];
+
+        tokenize(value).forEach(term => {
+          if (!this.postings.has(term)) {
+            this.postings.set(term, new Set());
+          }
+          this.postings.get(term).add(item.id);
+        });
+      });
+    });
+
+    // Sorted so prefix lookups can stop at the first non-matching term
+    this.terms = Array.from(this.postings.keys()).sort();
+  }
+
+  // Binary search for the first term >= prefix
+  findFirstTerm(prefix) {
+    let low = 0;
+    let high = this.terms.length;
+
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.terms[mid] < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  matchPrefix(prefix) {
+    const ids = new Set();
+
+    for (let i = this.findFirstTerm(prefix); i < this.terms.length; i++) {
+      const term = this.terms[i];
+      if (!term.startsWith(prefix)) break;
+      this.postings.get(term).forEach(id => ids.add(id));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Find artworks matching every word of the query (each word as a prefix)
+   * @param {string} query - User query
+   * @returns {Set<string>|null} Matching artwork ids, or null for an empty query
+   */
+  search(query) {
+    const queryTokens = tokenize(query);
+    if (!queryTokens.length) return null;
+
+    return queryTokens
+      .map(token => this.matchPrefix(token))
+      .reduce((result, ids) => new Set([...result].filter(id => ids.has(id))));
+  }
+}
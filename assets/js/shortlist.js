@@ -0,0 +1,80 @@
+// Shortlist - shortlist.js
+// Favorite artwork ids kept in localStorage, shared by the gallery, lightbox and contact form
+//
+// Every change dispatches a 'shortlistChange' event on document with {ids},
+// including changes made in other tabs.
+
+const STORAGE_KEY = 'portfolio-shortlist';
+
+function readIds() {
+  try {
+    const ids = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(ids) ? ids.filter(id => typeof id === 'string') : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function writeIds(ids) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(ids));
+  } catch (error) {
+    // Private browsing or a full quota; the shortlist still works until the page closes
+    console.warn('Shortlist could not be saved:', error);
+  }
+
+  notifyChange(ids);
+}
+
+function notifyChange(ids) {
+  document.dispatchEvent(new CustomEvent('shortlistChange', {
+    detail: { ids: [...ids] }
+  }));
+}
+
+/**
+ * Shortlisted artwork ids, oldest first
+ * @returns {string[]} Artwork ids
+ */
+export function getShortlist() {
+  return readIds();
+}
+
+export function isShortlisted(artworkId) {
+  return readIds().includes(artworkId);
+}
+
+/**
+ * Add or remove an artwork
+ * @param {string} artworkId - Artwork id
+ * @returns {boolean} Whether the artwork is now shortlisted
+ */
+export function toggleShortlist(artworkId) {
+  const ids = readIds();
+  const isAdding = !ids.includes(artworkId);
+
+  writeIds(isAdding ? [...ids, artworkId] : ids.filter(id => id !== artworkId));
+  return isAdding;
+}
+
+/**
+ * Merge ids into the shortlist, e.g. from a shared link
+ * @param {string[]} artworkIds - Artwork ids
+ * @returns {number} How many were new
+ */
+export function addToShortlist(artworkIds) {
+  const ids = readIds();
+  const added = artworkIds.filter((id, index) => !ids.includes(id) && artworkIds.indexOf(id) === index);
+
+  if (added.length) writeIds([...ids, ...added]);
+  return added.length;
+}
+
+export function clearShortlist() {
+  writeIds([]);
+}
+
+// Keep every open tab in step
+window.addEventListener('storage', (e) => {
+  if (e.key === STORAGE_KEY) notifyChange(readIds());
+});
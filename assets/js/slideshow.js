@@ -0,0 +1,107 @@
+// Slideshow - slideshow.js
+// Timed auto-advance with a progress callback and pause holds for hover, focus and hidden tabs
+
+export const DEFAULT_SLIDE_INTERVAL = 5000;
+
+export class Slideshow {
+  /**
+   * @param {Object} options - Timing and callbacks
+   * @param {number} [options.interval] - Time per slide in milliseconds
+   * @param {Function} options.onAdvance - Called when a slide's time is up
+   * @param {Function} [options.onTick] - (progress) => void, 0–1 through the current slide
+   * @param {Function} [options.onStateChange] - (isPlaying) => void, after play or pause
+   */
+  constructor({ interval = DEFAULT_SLIDE_INTERVAL, onAdvance, onTick = () => {}, onStateChange = () => {} }) {
+    this.interval = interval;
+    this.onAdvance = onAdvance;
+    this.onTick = onTick;
+    this.onStateChange = onStateChange;
+    this.isPlaying = false;
+    this.holds = new Set();
+    this.elapsed = 0;
+    this.lastTime = 0;
+    this.frame = null;
+
+    this.tick = this.tick.bind(this);
+  }
+
+  play() {
+    if (this.isPlaying) return;
+
+    this.isPlaying = true;
+    this.lastTime = performance.now();
+    this.frame = requestAnimationFrame(this.tick);
+    this.onStateChange(true);
+  }
+
+  pause() {
+    if (!this.isPlaying) return;
+
+    this.isPlaying = false;
+    cancelAnimationFrame(this.frame);
+    this.frame = null;
+    this.onStateChange(false);
+  }
+
+  toggle() {
+    if (this.isPlaying) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  stop() {
+    this.pause();
+    this.holds.clear();
+    this.restart();
+  }
+
+  // Start the current slide's time over, e.g. after manual navigation
+  restart() {
+    this.elapsed = 0;
+    this.lastTime = performance.now();
+    this.onTick(0);
+  }
+
+  /**
+   * Hold or release playback for a reason, without changing whether the user chose to play
+   * @param {string} reason - e.g. 'hover', 'focus', 'hidden'
+   * @param {boolean} isHeld - Whether the reason applies
+   */
+  setHold(reason, isHeld) {
+    if (isHeld) {
+      this.holds.add(reason);
+    } else {
+      this.holds.delete(reason);
+    }
+
+    // Time spent held doesn't count towards the slide
+    this.lastTime = performance.now();
+  }
+
+  setInterval(interval) {
+    this.interval = interval;
+    this.onTick(Math.min(1, this.elapsed / this.interval));
+  }
+
+  isRunning() {
+    return this.isPlaying && this.holds.size === 0;
+  }
+
+  tick(now) {
+    if (this.isRunning()) {
+      this.elapsed += now - this.lastTime;
+
+      if (this.elapsed >= this.interval) {
+        this.elapsed = 0;
+        this.onAdvance();
+      }
+
+      this.onTick(this.elapsed / this.interval);
+    }
+
+    this.lastTime = now;
+    this.frame = requestAnimationFrame(this.tick);
+  }
+}
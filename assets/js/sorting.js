@@ -0,0 +1,52 @@
+// Gallery Sorting - sorting.js
+// Sort modes for the gallery grid
+
+import { parseDimensions } from './layouts.js';
+
+export const DEFAULT_SORT = 'featured';
+
+/**
+ * Parse a "WIDTHxHEIGHT" dimensions string into a pixel area
+ * @param {string} dimensions - e.g. "2400x3600"
+ * @returns {number} Area in pixels, or 0 when unknown
+ */
+export function getPixelArea(dimensions) {
+  const size = parseDimensions(dimensions);
+  return size ? size.width * size.height : 0;
+}
+
+// Items without a rank keep catalog order after the ranked ones
+function compareFeatured(a, b) {
+  const rankA = Number.isInteger(a.featuredRank) ? a.featuredRank : Infinity;
+  const rankB = Number.isInteger(b.featuredRank) ? b.featuredRank : Infinity;
+  return rankA === rankB ? 0 : rankA - rankB;
+}
+
+export const SORT_MODES = {
+  featured: { label: 'Featured', compare: compareFeatured },
+  newest: { label: 'Newest first', compare: (a, b) => (b.year || 0) - (a.year || 0) },
+  oldest: { label: 'Oldest first', compare: (a, b) => (a.year || 0) - (b.year || 0) },
+  title: { label: 'Title A–Z', compare: (a, b) => a.title.localeCompare(b.title) },
+  largest: { label: 'Largest dimensions', compare: (a, b) => getPixelArea(b.dimensions) - getPixelArea(a.dimensions) }
+};
+
+/**
+ * Check whether a sort mode exists
+ * @param {string} mode - Sort mode id
+ * @returns {boolean} Whether the mode is known
+ */
+export function isSortMode(mode) {
+  return Object.prototype.hasOwnProperty.call(SORT_MODES, mode);
+}
+
+/**
+ * Return a sorted copy of the artwork list
+ * Array.prototype.sort is stable, so ties keep catalog order.
+ * @param {Object[]} items - Artwork entries
+ * @param {string} mode - Sort mode id
+ * @returns {Object[]} Sorted copy
+ */
+export function sortArtwork(items, mode = DEFAULT_SORT) {
+  const { compare } = SORT_MODES[mode] || SORT_MODES[DEFAULT_SORT];
+  return [...items].sort(compare);
+}
@@ -0,0 +1,304 @@
+// Form Transport - transport.js
+// Sends contact form submissions as a JSON POST, a form-encoded POST, or through the visitor's mail app
+// Submissions with attached files go as a multipart POST whichever POST transport is set.
+//
+// Configured with data- attributes on the form:
+//   data-transport  'json', 'form', 'multipart' or 'mailto' (defaults to json with an endpoint, mailto without)
+//   data-endpoint   URL to POST to, e.g. http://localhost:3000/inquiries for a local mock server
+//   data-headers    Extra request headers as a JSON object
+//   data-timeout    Milliseconds to wait for a response
+//   data-mailto     Address used by the mailto transport
+//
+// For local testing, `node scripts/mock-inquiry-server.mjs` serves a mock endpoint on port 3000
+// and `node scripts/check-transport.mjs` runs the POST transports against it.
+
+export const TRANSPORTS = ['json', 'form', 'multipart', 'mailto'];
+
+export const DEFAULT_TIMEOUT = 15000;
+
+export class TransportError extends Error {
+  /**
+   * @param {string} message - Developer-facing description
+   * @param {Object} details - What went wrong
+   * @param {string} details.type - 'config', 'timeout', 'aborted', 'network', 'client', 'rate-limit' or 'server'
+   * @param {number} [details.status] - HTTP status, when there was a response
+   */
+  constructor(message, { type, status = null }) {
+    super(message);
+    this.name = 'TransportError';
+    this.type = type;
+    this.status = status;
+  }
+}
+
+/**
+ * Read transport settings from a form's data- attributes
+ * @param {HTMLFormElement} form - Form element
+ * @returns {Object} {transport, endpoint, headers, timeout, mailto}
+ */
+export function getTransportConfig(form) {
+  const { transport, endpoint = '', headers, timeout, mailto = '' } = form.dataset;
+
+  let parsedHeaders = {};
+  if (headers) {
+    try {
+      parsedHeaders = JSON.parse(headers);
+    } catch (error) {
+      console.warn('Ignoring invalid data-headers on the contact form:', error);
+    }
+  }
+
+  const parsedTimeout = parseInt(timeout, 10);
+
+  return {
+    transport: TRANSPORTS.includes(transport) ? transport : (endpoint ? 'json' : 'mailto'),
+    endpoint,
+    headers: parsedHeaders,
+    timeout: parsedTimeout > 0 ? parsedTimeout : DEFAULT_TIMEOUT,
+    mailto
+  };
+}
+
+/**
+ * Encode submission data as application/x-www-form-urlencoded
+ * Lists repeat their key, e.g. referencedArtworks=a&referencedArtworks=b.
+ * @param {Object} data - Submission data
+ * @returns {URLSearchParams} Request body
+ */
+export function encodeFormBody(data) {
+  const params = new URLSearchParams();
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => params.append(key, item));
+    } else if (value !== undefined && value !== null) {
+      params.append(key, value);
+    }
+  });
+
+  return params;
+}
+
+function isFile(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+/**
+ * Whether a submission carries files, and so can only go as multipart
+ * @param {Object} data - Submission data
+ * @returns {boolean} True if any value, or any item of a list, is a Blob or File
+ */
+export function hasFiles(data) {
+  return Object.values(data).some(value => Array.isArray(value) ? value.some(isFile) : isFile(value));
+}
+
+/**
+ * Encode submission data as multipart/form-data
+ * Lists repeat their key, and files keep their names.
+ * @param {Object} data - Submission data
+ * @returns {FormData} Request body
+ */
+export function encodeMultipartBody(data) {
+  const body = new FormData();
+
+  const append = (key, value) => {
+    if (isFile(value)) {
+      body.append(key, value, value.name || key);
+    } else {
+      body.append(key, value);
+    }
+  };
+
+  Object.entries(data).forEach(([key, value]) => {
+    if (Array.isArray(value)) {
+      value.forEach(item => append(key, item));
+    } else if (value !== undefined && value !== null) {
+      append(key, value);
+    }
+  });
+
+  return body;
+}
+
+function getErrorType(status) {
+  if (status === 429) return 'rate-limit';
+  return status >= 500 ? 'server' : 'client';
+}
+
+async function post(config, { body, headers }, signal) {
+  if (!config.endpoint) {
+    throw new TransportError('No data-endpoint set on the contact form', { type: 'config' });
+  }
+
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, config.timeout);
+
+  // A caller's signal (e.g. a cancel button) aborts the request too
+  const abortFromCaller = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    signal.addEventListener('abort', abortFromCaller);
+  }
+
+  let response;
+
+  try {
+    response = await fetch(config.endpoint, {
+      method: 'POST',
+      headers: { Accept: 'application/json', ...headers, ...config.headers },
+      body,
+      signal: controller.signal
+    });
+  } catch (error) {
+    if (timedOut) {
+      throw new TransportError(`No response within ${config.timeout}ms`, { type: 'timeout' });
+    }
+    if (error.name === 'AbortError') {
+      throw new TransportError('Submission cancelled', { type: 'aborted' });
+    }
+    throw new TransportError(`Request failed: ${error.message}`, { type: 'network' });
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abortFromCaller);
+  }
+
+  return handleResponseStatus(config, response.status);
+}
+
+function handleResponseStatus(config, status) {
+  if (status < 200 || status >= 300) {
+    throw new TransportError(`Submission failed with HTTP ${status}`, {
+      type: getErrorType(status),
+      status
+    });
+  }
+
+  return { success: true, transport: config.transport, status };
+}
+
+// fetch can't report upload progress, so multipart uploads with a progress callback use XHR
+function postWithProgress(config, body, signal, onProgress) {
+  if (!config.endpoint) {
+    return Promise.reject(new TransportError('No data-endpoint set on the contact form', { type: 'config' }));
+  }
+
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+    const abortFromCaller = () => request.abort();
+
+    const settle = (callback) => {
+      if (signal) signal.removeEventListener('abort', abortFromCaller);
+      callback();
+    };
+
+    request.open('POST', config.endpoint);
+    request.timeout = config.timeout;
+    request.setRequestHeader('Accept', 'application/json');
+    Object.entries(config.headers).forEach(([name, value]) => request.setRequestHeader(name, value));
+
+    request.upload.addEventListener('progress', (e) => {
+      if (e.lengthComputable) onProgress(e.loaded, e.total);
+    });
+
+    request.addEventListener('load', () => settle(() => {
+      try {
+        resolve(handleResponseStatus(config, request.status));
+      } catch (error) {
+        reject(error);
+      }
+    }));
+    request.addEventListener('timeout', () => settle(() => {
+      reject(new TransportError(`No response within ${config.timeout}ms`, { type: 'timeout' }));
+    }));
+    request.addEventListener('abort', () => settle(() => {
+      reject(new TransportError('Submission cancelled', { type: 'aborted' }));
+    }));
+    request.addEventListener('error', () => settle(() => {
+      reject(new TransportError('Request failed', { type: 'network' }));
+    }));
+
+    if (signal) {
+      if (signal.aborted) {
+        request.abort();
+        return;
+      }
+      signal.addEventListener('abort', abortFromCaller);
+    }
+
+    request.send(body);
+  });
+}
+
+function sendMailto(data, config) {
+  if (!config.mailto) {
+    throw new TransportError('No data-mailto set on the contact form', { type: 'config' });
+  }
+
+  if (hasFiles(data)) {
+    throw new TransportError('Files can\'t be attached to a mailto link', { type: 'config' });
+  }
+
+  const lines = Object.entries(data)
+    .filter(([key, value]) => key !== 'userAgent' && value !== '' && value !== undefined && value !== null)
+    .map(([key, value]) => `${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+
+  const subject = `Commission inquiry${data.name ? ` from ${data.name}` : ''}`;
+  const query = `subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(lines.join('\n'))}`;
+
+  // Hands off to the mail app; there is no way to know whether the email is actually sent
+  window.location.href = `mailto:${config.mailto}?${query}`;
+
+  return Promise.resolve({ success: true, transport: 'mailto', status: null });
+}
+
+const ADAPTERS = {
+  json: (data, config, signal) => post(config, {
+    body: JSON.stringify(data),
+    headers: { 'Content-Type': 'application/json' }
+  }, signal),
+
+  // fetch sets the urlencoded Content-Type for URLSearchParams bodies
+  form: (data, config, signal) => post(config, {
+    body: encodeFormBody(data),
+    headers: {}
+  }, signal),
+
+  // fetch and XHR set the multipart Content-Type, boundary included, for FormData bodies
+  multipart: (data, config, signal, onProgress) => {
+    const body = encodeMultipartBody(data);
+
+    // No XHR in the service worker; queued uploads go without progress
+    if (onProgress && typeof XMLHttpRequest !== 'undefined') {
+      return postWithProgress(config, body, signal, onProgress);
+    }
+
+    return post(config, { body, headers: {} }, signal);
+  },
+
+  mailto: (data, config) => sendMailto(data, config)
+};
+
+/**
+ * Send a submission with the configured transport
+ * @param {Object} data - Submission data
+ * @param {Object} config - Settings from getTransportConfig()
+ * @param {Object} [options] - Request options
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @param {Function} [options.onProgress] - (loaded, total) => void while a multipart body uploads
+ * @returns {Promise<Object>} {success, transport, status}; rejects with a TransportError
+ */
+export async function sendSubmission(data, config, { signal, onProgress } = {}) {
+  const transport = config.transport !== 'mailto' && hasFiles(data) ? 'multipart' : config.transport;
+  const adapter = ADAPTERS[transport];
+
+  if (!adapter) {
+    throw new TransportError(`Unknown transport "${config.transport}"`, { type: 'config' });
+  }
+
+  return adapter(data, config, signal, onProgress);
+}
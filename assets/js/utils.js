@@ -11,7 +11,7 @@ window.PortfolioUtils = {};
  * @param {boolean} immediate - Execute immediately on first call
  * @returns {Function} Debounced function
  */
-window.PortfolioUtils.debounce = function debounce(func, wait, immediate = false) {
+export function debounce(func, wait, immediate = false) {
   let timeout;
   return function executedFunction(...args) {
     const later = () => {
@@ -25,6 +25,8 @@ window.PortfolioUtils.debounce = function debounce(func, wait, immediate = false
   };
 }
 
+window.PortfolioUtils.debounce = debounce;
+
 /**
  * Throttle function to limit function execution to once per specified time
  * @param {Function} func - Function to throttle
@@ -229,18 +231,19 @@ export function formatDate(date, locale = 'en-US') {
 }
 
 /**
- * Lazy load images with Intersection Observer
- * @param {string} selector - Image selector
+ * Create an Intersection Observer that swaps data-src into src once an image is near view
+ * Observe images on it yourself; useful when images are added over time.
  * @param {Object} options - Intersection Observer options
+ * @returns {IntersectionObserver} Image observer
  */
-export function lazyLoadImages(selector = 'img[data-src]', options = {}) {
+export function createLazyImageObserver(options = {}) {
   const defaultOptions = {
     rootMargin: '50px 0px',
     threshold: 0.01,
     ...options
   };
   
-  const imageObserver = new IntersectionObserver((entries, observer) => {
+  return new IntersectionObserver((entries, observer) => {
     entries.forEach(entry => {
       if (entry.isIntersecting) {
         const img = entry.target;
@@ -264,6 +267,15 @@ export function lazyLoadImages(selector = 'img[data-src]', options = {}) {
       }
     });
   }, defaultOptions);
+}
+
+/**
+ * Lazy load images with Intersection Observer
+ * @param {string} selector - Image selector
+ * @param {Object} options - Intersection Observer options
+ */
+export function lazyLoadImages(selector = 'img[data-src]', options = {}) {
+  const imageObserver = createLazyImageObserver(options);
   
   document.querySelectorAll(selector).forEach(img => {
     imageObserver.observe(img);
@@ -322,6 +334,20 @@ export function generateId(prefix = 'id') {
   return `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Escape text for safe use inside HTML markup
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
 /**
  * Deep clone object
  * @param {*} obj - Object to clone
@@ -0,0 +1,206 @@
+// Virtual Grid - virtual-grid.js
+// Windowed rendering for long CSS grids: only rows near the viewport stay in the DOM
+
+import { debounce } from './utils.js';
+
+// Rows kept rendered above and below the viewport
+const OVERSCAN_ROWS = 2;
+
+// Used until the first rendered item can be measured
+const ESTIMATED_ROW_HEIGHT = 280;
+
+export class VirtualGrid {
+  /**
+   * @param {HTMLElement} container - CSS grid element the items render into
+   * @param {Object} options - Renderer hooks
+   * @param {Function} options.renderItem - (item) => HTMLElement
+   * @param {Function} options.getKey - (item) => unique key, used to reuse elements
+   * @param {Function} options.getColumns - () => current grid column count
+   * @param {Function} [options.onRender] - (addedElements) => void, after the window changes
+   * @param {Function} [options.onRelease] - (element) => void, before an element leaves the DOM
+   */
+  constructor(container, { renderItem, getKey, getColumns, onRender = () => {}, onRelease = () => {} }) {
+    this.container = container;
+    this.renderItem = renderItem;
+    this.getKey = getKey;
+    this.getColumns = getColumns;
+    this.onRender = onRender;
+    this.onRelease = onRelease;
+    this.items = [];
+    this.rendered = new Map();
+    this.range = { start: 0, end: 0 };
+    this.columns = 1;
+    this.rowHeight = ESTIMATED_ROW_HEIGHT;
+    this.isMeasured = false;
+    this.isActive = false;
+    this.frame = null;
+
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleResize = debounce(() => this.measure(), 150);
+  }
+
+  /**
+   * Show a list of items, reusing elements that are already rendered
+   * @param {Object[]} items - Every item in the grid, rendered or not
+   */
+  setItems(items) {
+    if (!this.isActive) {
+      this.activate();
+    }
+
+    this.items = items;
+    this.measure();
+  }
+
+  activate() {
+    this.isActive = true;
+    this.container.innerHTML = '';
+
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleResize);
+  }
+
+  destroy() {
+    if (!this.isActive) return;
+
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleResize);
+    cancelAnimationFrame(this.frame);
+
+    this.rendered.forEach(element => {
+      this.onRelease(element);
+      element.remove();
+    });
+    this.rendered.clear();
+
+    this.container.style.paddingTop = '';
+    this.container.style.paddingBottom = '';
+    this.items = [];
+    this.range = { start: 0, end: 0 };
+    this.isMeasured = false;
+    this.isActive = false;
+  }
+
+  handleScroll() {
+    // One window update per frame, however often scroll fires
+    if (this.frame) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.update();
+    });
+  }
+
+  measure() {
+    this.columns = Math.max(1, this.getColumns());
+    this.isMeasured = false;
+    this.update(true);
+  }
+
+  measureRowHeight() {
+    const sample = this.rendered.values().next().value;
+    if (!sample || !sample.offsetHeight) return;
+
+    const rowGap = parseFloat(window.getComputedStyle(this.container).rowGap) || 0;
+    this.rowHeight = sample.offsetHeight + rowGap;
+    this.isMeasured = true;
+  }
+
+  update(force = false) {
+    if (!this.isActive) return;
+
+    const { start, end } = this.getVisibleRange();
+
+    if (force || start !== this.range.start || end !== this.range.end) {
+      this.render(start, end);
+    }
+
+    // The first pass runs on the estimate; correct it once a row exists
+    if (!this.isMeasured) {
+      const estimate = this.rowHeight;
+      this.measureRowHeight();
+      if (this.isMeasured && this.rowHeight !== estimate) {
+        this.update(true);
+      }
+    }
+  }
+
+  getVisibleRange() {
+    const totalRows = Math.ceil(this.items.length / this.columns);
+    const rect = this.container.getBoundingClientRect();
+
+    // Row positions are relative to the container top, since the top padding stands in for skipped rows
+    const lastRow = Math.min(totalRows, Math.max(0, Math.ceil((window.innerHeight - rect.top) / this.rowHeight) + OVERSCAN_ROWS));
+    const firstRow = Math.min(lastRow, Math.max(0, Math.floor(-rect.top / this.rowHeight) - OVERSCAN_ROWS));
+
+    return {
+      start: firstRow * this.columns,
+      end: Math.min(this.items.length, lastRow * this.columns)
+    };
+  }
+
+  render(start, end) {
+    const visibleItems = this.items.slice(start, end);
+    const nextRendered = new Map();
+    const added = [];
+
+    visibleItems.forEach(item => {
+      const key = this.getKey(item);
+      let element = this.rendered.get(key);
+
+      if (!element) {
+        element = this.renderItem(item);
+        added.push(element);
+      }
+
+      nextRendered.set(key, element);
+    });
+
+    this.rendered.forEach((element, key) => {
+      if (!nextRendered.has(key)) {
+        this.onRelease(element);
+        element.remove();
+      }
+    });
+
+    // Insert in order without moving elements that are already in place, so focus isn't dropped
+    let previous = null;
+    nextRendered.forEach(element => {
+      const expected = previous ? previous.nextSibling : this.container.firstChild;
+      if (element !== expected) {
+        this.container.insertBefore(element, expected);
+      }
+      previous = element;
+    });
+
+    const totalRows = Math.ceil(this.items.length / this.columns);
+    const firstRow = Math.floor(start / this.columns);
+    const lastRow = Math.ceil(end / this.columns);
+
+    this.container.style.paddingTop = `${firstRow * this.rowHeight}px`;
+    this.container.style.paddingBottom = `${Math.max(0, totalRows - lastRow) * this.rowHeight}px`;
+
+    this.rendered = nextRendered;
+    this.range = { start, end };
+    this.onRender(added);
+  }
+
+  /**
+   * Scroll an item's row into view if it isn't rendered
+   * @param {number} index - Item index
+   */
+  scrollToIndex(index) {
+    if (!this.isActive || (index >= this.range.start && index < this.range.end)) return;
+
+    const row = Math.floor(index / this.columns);
+    const rect = this.container.getBoundingClientRect();
+
+    window.scrollTo(0, window.scrollY + rect.top + row * this.rowHeight - (window.innerHeight - this.rowHeight) / 2);
+    this.update();
+  }
+
+  // Whether the last item is rendered
+  isAtEnd() {
+    return this.range.end >= this.items.length;
+  }
+}
@@ -0,0 +1,310 @@
+// Zoom Controller - zoom.js
+// Pinch, wheel, double-tap and keyboard zoom with drag-to-pan for a single image or image stage
+
+import { prefersReducedMotion } from './utils.js';
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const ZOOM_STEP = 1.5;
+const WHEEL_SENSITIVITY = 0.002;
+const DOUBLE_TAP_TIME = 300;
+const DOUBLE_TAP_DISTANCE = 30;
+
+// Inertia: velocity in px/ms, decayed each frame until it drops below the cutoff
+const INERTIA_FRICTION = 0.92;
+const INERTIA_CUTOFF = 0.02;
+
+export class ZoomController {
+  /**
+   * @param {HTMLElement} viewport - Element that clips the image and receives gestures
+   * @param {HTMLElement} image - Image, or element wrapping the image, to transform
+   * @param {Object} options - Callbacks
+   * @param {Function} [options.onChange] - (scale) => void, after every zoom change
+   * @param {Function} [options.getNaturalWidth] - () => full-resolution width in pixels
+   */
+  constructor(viewport, image, { onChange = () => {}, getNaturalWidth = () => image.naturalWidth } = {}) {
+    this.viewport = viewport;
+    this.image = image;
+    this.onChange = onChange;
+    this.getNaturalWidth = getNaturalWidth;
+    this.scale = MIN_SCALE;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map();
+    this.gesture = null;
+    this.lastTap = null;
+    this.inertiaFrame = null;
+
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.viewport.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.viewport.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    this.viewport.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    this.viewport.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+    this.viewport.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+
+    // Native image dragging would fight with panning
+    this.viewport.addEventListener('dragstart', (e) => e.preventDefault());
+  }
+
+  isZoomed() {
+    return this.scale > MIN_SCALE;
+  }
+
+  // Scale at which one image pixel covers one screen pixel
+  getActualSizeScale() {
+    const renderedWidth = this.image.offsetWidth;
+    const naturalWidth = this.getNaturalWidth();
+    if (!renderedWidth || !naturalWidth) return 2;
+
+    const scale = naturalWidth / renderedWidth;
+    return scale > MIN_SCALE ? scale : 2;
+  }
+
+  getMaxScale() {
+    return Math.max(MAX_SCALE, this.getActualSizeScale());
+  }
+
+  /**
+   * Zoom to a scale, keeping a point under the same spot on screen
+   * @param {number} scale - Target scale
+   * @param {Object} [origin] - Point relative to the viewport center, defaults to the center
+   * @param {boolean} [animate] - Ease into the new transform
+   */
+  zoomTo(scale, origin = { x: 0, y: 0 }, animate = false) {
+    const nextScale = Math.min(this.getMaxScale(), Math.max(MIN_SCALE, scale));
+    const ratio = nextScale / this.scale;
+
+    this.x = origin.x - (origin.x - this.x) * ratio;
+    this.y = origin.y - (origin.y - this.y) * ratio;
+    this.scale = nextScale;
+
+    this.apply(animate);
+  }
+
+  zoomBy(factor, origin, animate = false) {
+    this.zoomTo(this.scale * factor, origin, animate);
+  }
+
+  zoomIn() {
+    this.zoomBy(ZOOM_STEP, undefined, true);
+  }
+
+  zoomOut() {
+    this.zoomBy(1 / ZOOM_STEP, undefined, true);
+  }
+
+  panBy(dx, dy, animate = false) {
+    this.x += dx;
+    this.y += dy;
+    this.apply(animate);
+  }
+
+  // Toggle between fit-to-screen and actual pixels
+  toggle(origin, animate = true) {
+    if (this.isZoomed()) {
+      this.reset(animate);
+    } else {
+      this.zoomTo(this.getActualSizeScale(), origin, animate);
+    }
+  }
+
+  /**
+   * Jump straight to a transform, e.g. to mirror another controller
+   * @param {Object} transform - {scale, x, y}, with x and y relative to the viewport center
+   */
+  setTransform({ scale, x, y }) {
+    this.stopInertia();
+    this.scale = Math.min(this.getMaxScale(), Math.max(MIN_SCALE, scale));
+    this.x = x;
+    this.y = y;
+    this.apply();
+  }
+
+  reset(animate = false) {
+    this.stopInertia();
+    this.scale = MIN_SCALE;
+    this.x = 0;
+    this.y = 0;
+    this.apply(animate);
+  }
+
+  apply(animate = false) {
+    this.clampPan();
+
+    const shouldAnimate = animate && !prefersReducedMotion();
+    this.image.style.transition = shouldAnimate ? 'transform 0.2s ease-out' : 'none';
+    this.image.style.transform = this.isZoomed()
+      ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})`
+      : '';
+
+    this.viewport.classList.toggle('modal__zoom--zoomed', this.isZoomed());
+    this.onChange(this.scale);
+  }
+
+  // Keep the image covering the viewport so it can't be dragged out of view
+  clampPan() {
+    const maxX = Math.max(0, (this.image.offsetWidth * this.scale - this.viewport.clientWidth) / 2);
+    const maxY = Math.max(0, (this.image.offsetHeight * this.scale - this.viewport.clientHeight) / 2);
+
+    this.x = Math.min(maxX, Math.max(-maxX, this.x));
+    this.y = Math.min(maxY, Math.max(-maxY, this.y));
+  }
+
+  // Pointer position relative to the viewport center
+  getOrigin(clientX, clientY) {
+    const rect = this.viewport.getBoundingClientRect();
+    return {
+      x: clientX - rect.left - rect.width / 2,
+      y: clientY - rect.top - rect.height / 2
+    };
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    this.stopInertia();
+    this.zoomBy(Math.exp(-e.deltaY * WHEEL_SENSITIVITY), this.getOrigin(e.clientX, e.clientY));
+  }
+
+  handlePointerDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    this.stopInertia();
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.viewport.setPointerCapture?.(e.pointerId);
+    this.startGesture();
+  }
+
+  startGesture() {
+    const points = Array.from(this.pointers.values());
+
+    if (points.length >= 2) {
+      const [a, b] = points;
+      this.gesture = {
+        type: 'pinch',
+        distance: Math.hypot(b.x - a.x, b.y - a.y),
+        scale: this.scale
+      };
+    } else if (points.length === 1) {
+      this.gesture = {
+        type: 'pan',
+        x: points[0].x,
+        y: points[0].y,
+        time: performance.now(),
+        velocityX: 0,
+        velocityY: 0,
+        moved: false
+      };
+    } else {
+      this.gesture = null;
+    }
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.gesture.type === 'pinch') {
+      const [a, b] = Array.from(this.pointers.values());
+      const distance = Math.hypot(b.x - a.x, b.y - a.y);
+      const center = this.getOrigin((a.x + b.x) / 2, (a.y + b.y) / 2);
+
+      if (this.gesture.distance > 0) {
+        this.zoomTo(this.gesture.scale * (distance / this.gesture.distance), center);
+      }
+      return;
+    }
+
+    const gesture = this.gesture;
+    const dx = e.clientX - gesture.x;
+    const dy = e.clientY - gesture.y;
+    const now = performance.now();
+    const elapsed = Math.max(1, now - gesture.time);
+
+    if (Math.abs(dx) + Math.abs(dy) > 2) {
+      gesture.moved = true;
+    }
+
+    gesture.velocityX = dx / elapsed;
+    gesture.velocityY = dy / elapsed;
+    gesture.x = e.clientX;
+    gesture.y = e.clientY;
+    gesture.time = now;
+
+    // At 1x the drag belongs to the swipe detection instead
+    if (this.isZoomed()) {
+      this.panBy(dx, dy);
+    }
+  }
+
+  handlePointerUp(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+
+    const gesture = this.gesture;
+    this.pointers.delete(e.pointerId);
+
+    if (gesture && gesture.type === 'pan' && e.type === 'pointerup') {
+      if (!gesture.moved) {
+        this.handleTap(e);
+      } else if (this.isZoomed()) {
+        this.startInertia(gesture.velocityX, gesture.velocityY);
+      }
+    }
+
+    // Lifting one finger of a pinch continues as a pan with the other
+    this.startGesture();
+    if (this.gesture) this.gesture.moved = true;
+  }
+
+  // Double-click and double-tap both arrive as two quick taps
+  handleTap(e) {
+    const now = performance.now();
+    const lastTap = this.lastTap;
+
+    if (lastTap &&
+        now - lastTap.time < DOUBLE_TAP_TIME &&
+        Math.hypot(e.clientX - lastTap.x, e.clientY - lastTap.y) < DOUBLE_TAP_DISTANCE) {
+      this.lastTap = null;
+      this.toggle(this.getOrigin(e.clientX, e.clientY));
+      return;
+    }
+
+    this.lastTap = { time: now, x: e.clientX, y: e.clientY };
+  }
+
+  startInertia(velocityX, velocityY) {
+    if (prefersReducedMotion()) return;
+
+    let vx = velocityX;
+    let vy = velocityY;
+    let lastTime = performance.now();
+
+    const step = (time) => {
+      const elapsed = time - lastTime;
+      lastTime = time;
+
+      this.panBy(vx * elapsed, vy * elapsed);
+
+      vx *= INERTIA_FRICTION;
+      vy *= INERTIA_FRICTION;
+
+      if (Math.abs(vx) + Math.abs(vy) > INERTIA_CUTOFF) {
+        this.inertiaFrame = requestAnimationFrame(step);
+      } else {
+        this.inertiaFrame = null;
+      }
+    };
+
+    this.inertiaFrame = requestAnimationFrame(step);
+  }
+
+  stopInertia() {
+    if (this.inertiaFrame) {
+      cancelAnimationFrame(this.inertiaFrame);
+      this.inertiaFrame = null;
+    }
+  }
+}
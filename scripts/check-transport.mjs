@@ -0,0 +1,105 @@
+// Transport Check - check-transport.mjs
+// Runs the POST transports in transport.js against the mock inquiry server and checks how each outcome is reported
+//
+//   node scripts/check-transport.mjs
+//
+// Exits with status 1 if any check fails. Needs no dependencies (Node 18+).
+
+import assert from 'node:assert/strict';
+import { createMockServer } from './mock-inquiry-server.mjs';
+import { sendSubmission, TransportError } from '../assets/js/transport.js';
+
+const received = [];
+const server = createMockServer({ onRequest: request => received.push(request) });
+
+await new Promise(resolve => server.listen(0, resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+const data = { name: 'Ann Lee', message: 'A test inquiry', referencedArtworks: ['artwork-001', 'artwork-004'] };
+
+const config = (path, overrides = {}) => ({
+  transport: 'json',
+  endpoint: `${baseUrl}${path}`,
+  headers: { 'X-Mock': 'yes' },
+  timeout: 500,
+  mailto: '',
+  ...overrides
+});
+
+async function expectError(path, type, status = null, options = {}) {
+  await assert.rejects(sendSubmission(data, config(path), options), (error) => {
+    assert.ok(error instanceof TransportError);
+    assert.equal(error.type, type);
+    assert.equal(error.status, status);
+    return true;
+  });
+}
+
+const checks = {
+  'json body': async () => {
+    const result = await sendSubmission(data, config('/inquiries'));
+    assert.deepEqual(result, { success: true, transport: 'json', status: 200 });
+
+    const request = received[received.length - 1];
+    assert.equal(request.contentType, 'application/json');
+    assert.deepEqual(JSON.parse(request.body), data);
+  },
+
+  'form-encoded body repeats list keys': async () => {
+    await sendSubmission(data, config('/inquiries', { transport: 'form' }));
+
+    const request = received[received.length - 1];
+    assert.match(request.contentType, /^application\/x-www-form-urlencoded/);
+    assert.deepEqual(new URLSearchParams(request.body).getAll('referencedArtworks'), data.referencedArtworks);
+  },
+
+  'files switch to multipart': async () => {
+    const file = new File(['image bytes'], 'reference.png', { type: 'image/png' });
+    await sendSubmission({ ...data, attachments: [file] }, config('/inquiries'));
+
+    const request = received[received.length - 1];
+    assert.match(request.contentType, /^multipart\/form-data; boundary=/);
+    assert.match(request.body, /filename="reference.png"/);
+  },
+
+  '4xx is a client error': () => expectError('/status/422', 'client', 422),
+  '429 is rate limiting': () => expectError('/status/429', 'rate-limit', 429),
+  '5xx is a server error': () => expectError('/status/503', 'server', 503),
+  'slow response times out': () => expectError('/slow/2000', 'timeout'),
+
+  'caller signal aborts': () => {
+    const controller = new AbortController();
+    const pending = expectError('/slow/2000', 'aborted', null, { signal: controller.signal });
+    controller.abort();
+    return pending;
+  },
+
+  'refused connection is a network error': async () => {
+    await assert.rejects(
+      sendSubmission(data, config('', { endpoint: 'http://127.0.0.1:1/inquiries' })),
+      error => error.type === 'network'
+    );
+  },
+
+  'missing endpoint is a config error': async () => {
+    await assert.rejects(sendSubmission(data, config('', { endpoint: '' })), error => error.type === 'config');
+  }
+};
+
+let failures = 0;
+
+for (const [name, check] of Object.entries(checks)) {
+  try {
+    await check();
+    console.log(`ok      ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`FAILED  ${name}\n        ${error.message}`);
+  }
+}
+
+server.closeAllConnections();
+server.close();
+
+console.log(failures ? `\n${failures} of ${Object.keys(checks).length} checks failed` : '\nAll transport checks passed');
+process.exitCode = failures ? 1 : 0;
@@ -0,0 +1,91 @@
+// Mock Inquiry Server - mock-inquiry-server.mjs
+// Local stand-in for the contact form endpoint, for trying out the transports in transport.js
+//
+//   node scripts/mock-inquiry-server.mjs [port]
+//
+// Then set data-endpoint="http://localhost:3000/inquiries" on #contact-form.
+// Every path answers like a real endpoint would for one case:
+//   /inquiries         200, echoing what was received
+//   /status/<code>     that HTTP status, e.g. /status/422, /status/429, /status/503
+//   /slow/<ms>         200 after a delay, for trying data-timeout
+// Requests are logged to the console. Needs no dependencies (Node 18+).
+
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+export const DEFAULT_PORT = 3000;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': '*'
+};
+
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Create the mock server without starting it
+ * @param {Object} [options] - Server options
+ * @param {Function} [options.onRequest] - ({method, path, contentType, body}) => void, for each POST
+ * @returns {http.Server} Server
+ */
+export function createMockServer({ onRequest = () => {} } = {}) {
+  return http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, CORS_HEADERS);
+      res.end();
+      return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const path = new URL(req.url, 'http://localhost').pathname;
+      const received = {
+        method: req.method,
+        path,
+        contentType: req.headers['content-type'] || '',
+        body: Buffer.concat(chunks).toString('utf8')
+      };
+      onRequest(received);
+
+      if (req.method !== 'POST') {
+        send(res, 405, { error: 'Use POST' });
+        return;
+      }
+
+      const statusMatch = path.match(/^\/status\/(\d{3})$/);
+      if (statusMatch) {
+        send(res, Number(statusMatch[1]), { error: `Mock ${statusMatch[1]}` });
+        return;
+      }
+
+      const slowMatch = path.match(/^\/slow\/(\d+)$/);
+      if (slowMatch) {
+        setTimeout(() => {
+          if (!res.destroyed) send(res, 200, { ok: true });
+        }, Number(slowMatch[1]));
+        return;
+      }
+
+      send(res, 200, { ok: true, contentType: received.contentType, bytes: received.body.length });
+    });
+  });
+}
+
+// Run directly: start listening and log requests
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.argv[2]) || DEFAULT_PORT;
+
+  createMockServer({
+    onRequest: ({ method, path, contentType, body }) => {
+      console.log(`${method} ${path} (${contentType || 'no body'})`);
+      if (body && !contentType.startsWith('multipart/')) console.log(`  ${body}`);
+    }
+  }).listen(port, () => {
+    console.log(`Mock inquiry server on http://localhost:${port}/inquiries`);
+  });
+}
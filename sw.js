@@ -0,0 +1,35 @@
+// Service Worker - sw.js
+// Sends contact form submissions queued while offline once Background Sync reports connectivity
+//
+// Registered as a module worker by form.js, so it shares the outbox and transport code with the page.
+
+import { OUTBOX_SYNC_TAG, flushOutbox } from './assets/js/outbox.js';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+async function syncOutbox() {
+  const result = await flushOutbox({ force: true });
+
+  // Let open pages update their "queued" status
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => {
+    client.postMessage({ type: 'outbox-flushed', ...result });
+  });
+
+  // Rejecting asks the browser to retry the sync later, with its own backoff
+  if (result.remaining.length) {
+    throw new Error(`${result.remaining.length} queued submission(s) still unsent`);
+  }
+}
+
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(syncOutbox());
+  }
+});